@@ -1,22 +1,81 @@
 const express = require('express');
 const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
 const fs = require('fs');
+const crypto = require('crypto');
+const zlib = require('zlib');
 const path = require('path');
+const os = require('os');
+const dgram = require('dgram');
+const net = require('net');
 const sqlite3 = require('sqlite3').verbose();
-const dbPath = 'epg.db';
+const dbPath = process.env.DB_PATH || 'epg.db';
 const dbExists = fs.existsSync(dbPath);
+fs.mkdirSync(path.dirname(dbPath), { recursive: true });
 const db = new sqlite3.Database(dbPath);
 
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+app.use(express.json());
+
+const CHANNELS_CONF = process.env.CHANNELS_CONF || path.resolve(process.cwd(), 'channels.conf');
+const ENABLE_PREEMPTION = process.env.ENABLE_PREEMPTION === 'true'; // Default: false
+const TUNER_QUEUE_SIZE = parseInt(process.env.TUNER_QUEUE_SIZE || '8', 10); // Requests allowed to wait for a tuner
+const TUNER_QUEUE_TIMEOUT = parseInt(process.env.TUNER_QUEUE_TIMEOUT || '10', 10); // Seconds a request waits
+const AUTH_CONF = process.env.AUTH_CONF || path.resolve(process.cwd(), 'auth.json');
+const CLIENT_PRIORITIES = (process.env.CLIENT_PRIORITIES || '').split(',').map(s => s.trim()).filter(Boolean); // "<address or CIDR>=<level>"
+const ENABLE_TRANSCODING = process.env.ENABLE_TRANSCODING === 'true'; // Default: false
+const ENABLE_QSV = process.env.ENABLE_QSV === 'true'; // Default: false
+const PROFILES_CONF = process.env.PROFILES_CONF || path.resolve(process.cwd(), 'profiles.json');
+const HWACCEL_DEVICE = process.env.HWACCEL_DEVICE || '/dev/dri/renderD128'; // Render node used by QSV and VAAPI
+const VERBOSE_LOGGING = process.env.VERBOSE_LOGGING === 'true'; // Default: false
+const ENABLE_DISCOVERY = process.env.ENABLE_DISCOVERY !== 'false'; // Default: true
+const WATCH_CONFIG = process.env.WATCH_CONFIG !== 'false'; // Default: true
+const SCAN_TABLES_DIR = process.env.SCAN_TABLES_DIR || '/usr/share/dvb'; // dtv-scan-tables location
+const FRIENDLY_NAME = process.env.FRIENDLY_NAME || 'Express M3U Tuner';
+const ADVERTISE_HOST = process.env.ADVERTISE_HOST || null; // IP/hostname announced in discovery replies
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || path.resolve(process.cwd(), 'recordings');
+const RECORDING_PADDING_START = parseInt(process.env.RECORDING_PADDING_START || '60', 10); // Seconds
+const RECORDING_PADDING_END = parseInt(process.env.RECORDING_PADDING_END || '120', 10); // Seconds
+const HLS_DIR = process.env.HLS_DIR || path.join(os.tmpdir(), 'express-m3u-tuner-hls');
+const HLS_WINDOW = parseInt(process.env.HLS_WINDOW || '1800', 10); // Seconds of timeshift kept per channel
+const HLS_SEGMENT_DURATION = parseInt(process.env.HLS_SEGMENT_DURATION || '6', 10); // Seconds
+const PASSIVE_EPG = process.env.PASSIVE_EPG !== 'false'; // Default: true
+const EPG_REFRESH_INTERVAL = parseInt(process.env.EPG_REFRESH_INTERVAL || '3600', 10); // Seconds between scans of a mux
+const EPG_MIN_HORIZON = parseInt(process.env.EPG_MIN_HORIZON || '21600', 10); // Seconds of guide to keep ahead
+const EPG_SCAN_TIMEOUT = parseInt(process.env.EPG_SCAN_TIMEOUT || '60', 10); // Seconds
+const EPG_RETENTION = parseInt(process.env.EPG_RETENTION || '86400', 10); // Seconds ended programs are kept
+const XMLTV_SOURCES = (process.env.XMLTV_SOURCES || '').split(',').map(s => s.trim()).filter(Boolean); // Files or directories
+const XMLTV_CHANNEL_MAP = process.env.XMLTV_CHANNEL_MAP || null; // JSON { "<xmltv id>": "<channel number>" }
+const XMLTV_IMPORT_INTERVAL = parseInt(process.env.XMLTV_IMPORT_INTERVAL || '21600', 10); // Seconds
+const HLS_IDLE_TIMEOUT = parseInt(process.env.HLS_IDLE_TIMEOUT || '120', 10); // Seconds without requests before teardown
+const ATSC_HUFFMAN_TABLES = process.env.ATSC_HUFFMAN_TABLES || path.resolve(process.cwd(), 'atsc-huffman.json');
+const REPLAY_DIR = process.env.REPLAY_DIR || path.resolve(process.cwd(), 'replay');
+const REPLAY_TUNERS = parseInt(process.env.REPLAY_TUNERS || '2', 10);
+const REPLAY_BITRATE = parseInt(process.env.REPLAY_BITRATE || '19392658', 10); // bits/s (ATSC 8VSB payload rate)
+
+function debugLog(...args) {
+    if (VERBOSE_LOGGING) console.log(...args);
+}
+
+// Tuner Backends
+// A backend discovers tuners and tunes them. tune() returns a handle exposing:
+//   handle.stream  - Readable MPEG-TS output
+//   handle.stop()  - release the tuner
+//   events         - 'stats' (signal statistics), 'log' (text), 'exit' (code, signal), 'error' (err)
+// Everything above this layer (streams, EPG scans, recordings) only talks to the handle.
+const DvbZapBackend = {
+    name: 'dvbv5',
+    supportsScan: true,
+
+    discover() {
+        if (!fs.existsSync('/dev/dvb')) {
+            console.warn('/dev/dvb not found. No DVB tuners available.');
+            return [];
+        }
 
-// Tuner Configuration
-// Adjust these adapter paths based on your system (e.g., /dev/dvb/adapter0, /dev/dvb/adapter1)
-// Tuner Configuration: Dynamic Discovery
-let TUNERS = [];
-try {
-    if (fs.existsSync('/dev/dvb')) {
         const files = fs.readdirSync('/dev/dvb');
         const adapters = files.filter(f => f.startsWith('adapter'));
 
@@ -27,115 +86,371 @@ try {
             return numA - numB;
         });
 
-        TUNERS = adapters.map(name => {
+        return adapters.map(name => {
             const id = parseInt(name.replace('adapter', ''), 10);
             return { id: id, adapter: `/dev/dvb/${name}`, inUse: false };
         });
-        console.log(`Discovered ${TUNERS.length} tuners: ${TUNERS.map(t => t.adapter).join(', ')}`);
-    } else {
-        console.warn('/dev/dvb not found. Mocking 2 tuners for development.');
-        TUNERS = [
-            { id: 0, adapter: '/dev/dvb/adapter0', inUse: false },
-            { id: 1, adapter: '/dev/dvb/adapter1', inUse: false }
-        ];
+    },
+
+    // options.allPids: pass the full mux; options.timeout (ms): stop after that long
+    tune(tuner, channel, options = {}) {
+        // Use '-o -' to pipe the MPEG-TS stream to stdout.
+        // This avoids 'Device or resource busy' errors on /dev/dvb/.../dvr0
+        const args = ['-c', CHANNELS_CONF, '-a', tuner.id.toString()];
+        if (options.allPids) args.push('-P');
+        if (options.timeout) {
+            args.push('-t', Math.ceil(options.timeout / 1000).toString());
+        } else {
+            args.push('-r');
+        }
+        args.push('-o', '-', channel.number);
+
+        debugLog(`[dvbv5] Spawning zap with args: ${JSON.stringify(args)}`);
+        const zap = spawn('dvbv5-zap', args);
+
+        const handle = new EventEmitter();
+        handle.stream = zap.stdout;
+        handle.stop = () => {
+            try { zap.kill('SIGKILL'); } catch (e) { }
+        };
+
+        zap.stderr.on('data', (data) => {
+            const text = data.toString();
+            handle.emit('log', text);
+            const stats = parseZapStats(text);
+            if (stats) handle.emit('stats', stats);
+        });
+        zap.on('exit', (code, signal) => handle.emit('exit', code, signal));
+        zap.on('error', (err) => handle.emit('error', err));
+        return handle;
     }
-} catch (e) {
-    console.error('Failed to discover tuners:', e);
-    // Fallback
-    TUNERS = [
-        { id: 0, adapter: '/dev/dvb/adapter0', inUse: false },
-        { id: 1, adapter: '/dev/dvb/adapter1', inUse: false }
-    ];
-}
+};
 
-const CHANNELS_CONF = process.env.CHANNELS_CONF || path.resolve(process.cwd(), 'channels.conf');
-const ENABLE_PREEMPTION = process.env.ENABLE_PREEMPTION === 'true'; // Default: false
-const ENABLE_TRANSCODING = process.env.ENABLE_TRANSCODING === 'true'; // Default: false
-const ENABLE_QSV = process.env.ENABLE_QSV === 'true'; // Default: false
-const VERBOSE_LOGGING = process.env.VERBOSE_LOGGING === 'true'; // Default: false
+// Replays recorded captures instead of tuning hardware, looping REPLAY_DIR/<frequency>.ts
+// at broadcast rate. Lets the whole server (streams, EPG parsing, DVR) run without /dev/dvb.
+const ReplayBackend = {
+    name: 'replay',
+    supportsScan: false,
 
-function debugLog(...args) {
-    if (VERBOSE_LOGGING) console.log(...args);
+    discover() {
+        console.log(`[Replay] Serving captures from ${REPLAY_DIR}`);
+        return Array.from({ length: REPLAY_TUNERS }, (_, i) => ({ id: i, adapter: `replay:${i}`, inUse: false }));
+    },
+
+    captureFor(frequency) {
+        const file = path.join(REPLAY_DIR, `${frequency}.ts`);
+        return fs.existsSync(file) ? file : null;
+    },
+
+    tune(tuner, channel, options = {}) {
+        const handle = new EventEmitter();
+        const stream = new PassThrough();
+        handle.stream = stream;
+
+        let fd = null;
+        let timer = null;
+        let deadline = null;
+        let stopped = false;
+
+        const finish = (code, signal) => {
+            if (stopped) return;
+            stopped = true;
+            clearInterval(timer);
+            clearTimeout(deadline);
+            if (fd !== null) {
+                try { fs.closeSync(fd); } catch (e) { }
+            }
+            stream.end();
+            setImmediate(() => handle.emit('exit', code, signal));
+        };
+        handle.stop = () => finish(null, 'SIGKILL');
+
+        setImmediate(() => {
+            if (stopped) return;
+            const file = this.captureFor(channel.frequency);
+            if (!file) {
+                handle.emit('log', `No capture for ${channel.frequency} Hz in ${REPLAY_DIR}\n`);
+                handle.emit('stats', { locked: false, status: 0 });
+                return finish(1, null);
+            }
+
+            try {
+                fd = fs.openSync(file, 'r');
+            } catch (e) {
+                handle.emit('error', e);
+                return finish(1, null);
+            }
+            const size = fs.fstatSync(fd).size;
+            const loopSize = size - (size % 188); // Loop on packet boundaries
+            if (loopSize === 0) {
+                handle.emit('log', `Capture ${file} is empty\n`);
+                return finish(1, null);
+            }
+
+            handle.emit('log', `Replaying ${file} on Tuner ${tuner.id}\n`);
+            handle.emit('stats', { locked: true, status: 0x1f, signal: 100, signalUnit: '%', cnr: 30, cnrUnit: 'dB', ucb: 0, postBer: 0 });
+
+            const tickMs = 50;
+            const chunkSize = Math.max(188, Math.floor(REPLAY_BITRATE / 8 * tickMs / 1000 / 188) * 188);
+            let position = 0;
+
+            timer = setInterval(() => {
+                // Consumer has fallen behind; don't buffer without bound
+                if (stream.writableLength > 4 * 1024 * 1024) return;
+
+                const chunk = Buffer.alloc(chunkSize);
+                let filled = 0;
+                while (filled < chunkSize) {
+                    const n = fs.readSync(fd, chunk, filled, Math.min(chunkSize - filled, loopSize - position), position);
+                    if (n === 0) break;
+                    filled += n;
+                    position += n;
+                    if (position >= loopSize) position = 0;
+                }
+                stream.write(filled === chunkSize ? chunk : chunk.slice(0, filled));
+            }, tickMs);
+
+            if (options.timeout) deadline = setTimeout(() => finish(0, null), options.timeout);
+        });
+
+        return handle;
+    }
+};
+
+const TUNER_BACKENDS = { dvbv5: DvbZapBackend, replay: ReplayBackend };
+const BACKEND_NAME = process.env.TUNER_BACKEND || (fs.existsSync('/dev/dvb') ? 'dvbv5' : 'replay');
+const BACKEND = TUNER_BACKENDS[BACKEND_NAME];
+if (!BACKEND) {
+    console.error(`Unknown TUNER_BACKEND "${BACKEND_NAME}". Use one of: ${Object.keys(TUNER_BACKENDS).join(', ')}`);
+    process.exit(1);
+}
+if (!process.env.TUNER_BACKEND && BACKEND_NAME === 'replay') {
+    console.warn('/dev/dvb not found. Using the replay backend for development.');
+}
+
+// Tuner Configuration: Dynamic Discovery
+let TUNERS = [];
+try {
+    TUNERS = BACKEND.discover();
+    console.log(`Discovered ${TUNERS.length} tuners (${BACKEND.name}): ${TUNERS.map(t => t.adapter).join(', ')}`);
+} catch (e) {
+    console.error('Failed to discover tuners:', e);
 }
 
 // Dynamic Channel Loader
 let CHANNELS = [];
-let lastTunerIndex = -1; // For Round-Robin selection
+let CHANNELS_LOADED_AT = 0;
+const LOGOS_PATH = path.resolve(process.cwd(), 'logos.json');
 
 
 
 
+// Parses channels.conf (and logos.json) and swaps the new list in as a whole.
+// Running sessions keep their own channel objects, so a reload never interrupts a stream.
+// Returns the diff against the previous list, or null if nothing was applied.
 function loadChannels() {
     console.log(`Loading channels from ${CHANNELS_CONF}...`);
     try {
         if (!require('fs').existsSync(CHANNELS_CONF)) {
-            console.warn('Channels config not found, using empty list.');
-            return;
+            console.warn(CHANNELS.length ? 'Channels config not found, keeping current list.' : 'Channels config not found, using empty list.');
+            return null;
         }
 
         const data = require('fs').readFileSync(CHANNELS_CONF, 'utf8');
-        const entries = data.split('[');
 
         // Load logos if logos.json exists
         let logos = {};
         try {
-            const logoPath = path.resolve(process.cwd(), 'logos.json');
-            if (fs.existsSync(logoPath)) {
-                logos = JSON.parse(fs.readFileSync(logoPath, 'utf8'));
+            if (fs.existsSync(LOGOS_PATH)) {
+                logos = JSON.parse(fs.readFileSync(LOGOS_PATH, 'utf8'));
                 console.log(`[Config] Loaded ${Object.keys(logos).length} icons from logos.json`);
             }
         } catch (e) {
             console.warn('[Config] Failed to parse logos.json:', e);
         }
 
-        CHANNELS = [];
-
-        entries.forEach(entry => {
-            if (!entry.trim()) return;
-            const lines = entry.split('\n');
-            const name = lines[0].replace(']', '').trim();
-            const serviceIdLine = lines.find(l => l.trim().startsWith('SERVICE_ID'));
-            const vChannelLine = lines.find(l => l.trim().startsWith('VCHANNEL'));
-            const freqLine = lines.find(l => l.trim().startsWith('FREQUENCY'));
-
-            if (serviceIdLine && vChannelLine) {
-                let serviceId = serviceIdLine.split('=')[1].trim();
-                const vChannel = vChannelLine.split('=')[1].trim();
-                const frequency = freqLine ? freqLine.split('=')[1].trim() : null;
-
-                // Normalize serviceId to decimal string (handles 0x hex if present)
-                serviceId = parseInt(serviceId, serviceId.startsWith('0x') ? 16 : 10).toString();
-
-                CHANNELS.push({
-                    number: vChannel,
-                    name: name,
-                    serviceId: serviceId,
-                    frequency: frequency,
-                    icon: logos[vChannel] || logos[name] || null,
-                    rawConfig: `[${name}]\n${entry.substring(entry.indexOf(']') + 1).trim()}`
-                });
-            }
-        });
+        const channels = parseChannelsConf(data, logos);
 
+        // A file caught mid-write parses as empty; don't wipe a working lineup
+        if (channels.length === 0 && CHANNELS.length > 0) {
+            console.warn('No channels parsed, keeping current list.');
+            return null;
+        }
 
+        const diff = diffChannels(CHANNELS, channels);
+        CHANNELS = channels;
+        CHANNELS_LOADED_AT = Date.now();
 
         console.log(`Loaded ${CHANNELS.length} channels:`);
         CHANNELS.forEach(c => console.log(`  - ${c.name} (Service ID: ${c.serviceId}, Chan: ${c.number})`));
-
-        // Sort by channel number
-        CHANNELS.sort((a, b) => parseFloat(a.number) - parseFloat(b.number));
+        return diff;
 
     } catch (e) {
         console.error('Failed to parse channels.conf:', e);
+        return null;
     }
 }
 
+// Helper: Parse dvbv5 channels file text into a channel list sorted by channel number
+function parseChannelsConf(data, logos = {}) {
+    const entries = data.split('[');
+    const channels = [];
+
+    entries.forEach(entry => {
+        if (!entry.trim()) return;
+        const lines = entry.split('\n');
+        const name = lines[0].replace(']', '').trim();
+        const serviceIdLine = lines.find(l => l.trim().startsWith('SERVICE_ID'));
+        const vChannelLine = lines.find(l => l.trim().startsWith('VCHANNEL'));
+        const freqLine = lines.find(l => l.trim().startsWith('FREQUENCY'));
+
+        if (serviceIdLine && vChannelLine) {
+            let serviceId = serviceIdLine.split('=')[1].trim();
+            const vChannel = vChannelLine.split('=')[1].trim();
+            const frequency = freqLine ? freqLine.split('=')[1].trim() : null;
+
+            // Normalize serviceId to decimal string (handles 0x hex if present)
+            serviceId = parseInt(serviceId, serviceId.startsWith('0x') ? 16 : 10).toString();
+
+            channels.push({
+                number: vChannel,
+                name: name,
+                serviceId: serviceId,
+                frequency: frequency,
+                icon: logos[vChannel] || logos[name] || null,
+                rawConfig: `[${name}]\n${entry.substring(entry.indexOf(']') + 1).trim()}`
+            });
+        }
+    });
+
+    // Sort by channel number
+    channels.sort((a, b) => parseFloat(a.number) - parseFloat(b.number));
+    return channels;
+}
+
+// Helper: Compare two channel lists by virtual channel number
+function diffChannels(oldList, newList) {
+    const oldMap = new Map(oldList.map(c => [c.number, c]));
+    const newMap = new Map(newList.map(c => [c.number, c]));
+    const fields = ['name', 'serviceId', 'frequency', 'icon', 'rawConfig'];
+
+    const diff = { added: [], removed: [], changed: [], total: newList.length };
+    newList.forEach(c => {
+        const old = oldMap.get(c.number);
+        if (!old) {
+            diff.added.push({ number: c.number, name: c.name });
+            return;
+        }
+        const changedFields = fields.filter(f => old[f] !== c[f]);
+        if (changedFields.length) diff.changed.push({ number: c.number, name: c.name, fields: changedFields });
+    });
+    oldList.forEach(c => {
+        if (!newMap.has(c.number)) diff.removed.push({ number: c.number, name: c.name });
+    });
+    return diff;
+}
+
 // Load immediately
 loadChannels();
 
+// Hot reload: re-parse when channels.conf or logos.json change on disk.
+// Polling (fs.watchFile) survives editors and scanners that replace the file instead of writing in place.
+let channelReloadTimer = null;
+function scheduleChannelReload(file) {
+    clearTimeout(channelReloadTimer);
+    channelReloadTimer = setTimeout(() => {
+        console.log(`[Config] ${path.basename(file)} changed, reloading channels...`);
+        const diff = loadChannels();
+        if (diff) {
+            console.log(`[Config] Channel reload: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed.`);
+        }
+    }, 1000);
+}
+
+if (WATCH_CONFIG) {
+    [CHANNELS_CONF, LOGOS_PATH].forEach(file => {
+        fs.watchFile(file, { interval: 2000 }, (curr, prev) => {
+            if (curr.mtimeMs !== prev.mtimeMs || curr.size !== prev.size) scheduleChannelReload(file);
+        });
+    });
+    // Running sessions keep the profile they started with
+    fs.watchFile(PROFILES_CONF, { interval: 2000 }, (curr, prev) => {
+        if (curr.mtimeMs !== prev.mtimeMs || curr.size !== prev.size) {
+            console.log(`[Config] ${path.basename(PROFILES_CONF)} changed, reloading profiles...`);
+            PROFILES.load();
+        }
+    });
+    // Applies to new requests; streams already playing are not re-checked
+    fs.watchFile(AUTH_CONF, { interval: 2000 }, (curr, prev) => {
+        if (curr.mtimeMs !== prev.mtimeMs || curr.size !== prev.size) {
+            console.log(`[Config] ${path.basename(AUTH_CONF)} changed, reloading authentication...`);
+            AUTH.load();
+        }
+    });
+}
+
 // Helper: Promise-based delay
 const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
 
+// Helper: Promise-based sqlite3 queries
+function dbAll(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+}
+
+function dbGet(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+    });
+}
+
+function dbRun(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function (err) {
+            if (err) return reject(err);
+            resolve({ lastID: this.lastID, changes: this.changes });
+        });
+    });
+}
+
+function stmtRun(stmt, params = []) {
+    return new Promise((resolve, reject) => {
+        stmt.run(params, function (err) {
+            if (err) return reject(err);
+            resolve({ lastID: this.lastID, changes: this.changes });
+        });
+    });
+}
+
+// Helper: Serialized database writes. There is one connection, so a statement run while another
+// caller's transaction is open would become part of it; every write waits its turn here instead.
+let dbWriteQueue = Promise.resolve();
+function dbQueue(fn) {
+    const result = dbWriteQueue.then(fn);
+    dbWriteQueue = result.catch(() => { });
+    return result;
+}
+
+function dbWrite(sql, params = []) {
+    return dbQueue(() => dbRun(sql, params));
+}
+
+// fn runs inside BEGIN...COMMIT and must use dbRun/stmtRun directly; queued writes would wait for it
+function dbTransaction(fn) {
+    return dbQueue(async () => {
+        await dbRun('BEGIN');
+        try {
+            const result = await fn();
+            await dbRun('COMMIT');
+            return result;
+        } catch (e) {
+            await dbRun('ROLLBACK').catch(() => { });
+            throw e;
+        }
+    });
+}
+
 // Helper: Escape XML special characters
 function escapeXml(unsafe) {
     if (!unsafe) return "";
@@ -154,7 +469,7 @@ function escapeXml(unsafe) {
 // Helper: Format date for XMLTV (Pure UTC for maximum compatibility)
 function formatXmltvDate(ts) {
     const d = new Date(ts);
-    const pad = n => n < 10 ? '0' + n : n;
+    const pad = n => String(n).padStart(2, '0');
     return d.getUTCFullYear() +
         pad(d.getUTCMonth() + 1) +
         pad(d.getUTCDate()) +
@@ -164,12 +479,64 @@ function formatXmltvDate(ts) {
         ' +0000';
 }
 
+// Helper: Find the channel a programs row belongs to
+// Uses both frequency and ID to avoid mux collisions. The index is rebuilt whenever the lineup
+// is swapped, so a lookup is a single Map access instead of a scan of CHANNELS.
+let programChannelIndex = { channels: null, map: new Map() };
+function findProgramChannel(p) {
+    if (programChannelIndex.channels !== CHANNELS) {
+        const map = new Map();
+        CHANNELS.forEach(c => {
+            [c.number, c.serviceId].forEach(id => {
+                const key = `${c.frequency}:${id}`;
+                if (!map.has(key)) map.set(key, c);
+            });
+        });
+        programChannelIndex = { channels: CHANNELS, map };
+    }
+    return programChannelIndex.map.get(`${p.frequency}:${p.channel_service_id}`) || null;
+}
+
+// ISO 639-2 codes used by PSIP and DVB, mapped to the two-letter codes XMLTV clients expect
+const LANGUAGE_CODES = {
+    eng: 'en', spa: 'es', fre: 'fr', fra: 'fr', ger: 'de', deu: 'de', ita: 'it', por: 'pt',
+    kor: 'ko', chi: 'zh', zho: 'zh', jpn: 'ja', vie: 'vi', rus: 'ru', ara: 'ar', hin: 'hi',
+    tgl: 'tl', fil: 'tl', pol: 'pl', dut: 'nl', nld: 'nl', gre: 'el', ell: 'el', heb: 'he', tha: 'th',
+    swe: 'sv', nor: 'no', dan: 'da', fin: 'fi', cze: 'cs', ces: 'cs', slo: 'sk', slk: 'sk', hun: 'hu',
+    rum: 'ro', ron: 'ro', bul: 'bg', hrv: 'hr', srp: 'sr', slv: 'sl', tur: 'tr', ukr: 'uk', cat: 'ca',
+    wel: 'cy', cym: 'cy', gle: 'ga', gla: 'gd', baq: 'eu', eus: 'eu', glg: 'gl', est: 'et', lav: 'lv', lit: 'lt'
+};
+
+// Helper: XMLTV lang attribute for an ISO 639-2 code (older rows have none and were English)
+function xmltvLang(code) {
+    if (!code) return 'en';
+    code = code.toLowerCase();
+    return LANGUAGE_CODES[code] || code;
+}
+
+// Helper: Read a JSON array column, tolerating NULL and bad data
+function parseJsonColumn(json) {
+    if (!json) return [];
+    try {
+        const value = JSON.parse(json);
+        return Array.isArray(value) ? value : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+// Helper: A program's per-language strings, falling back to the plain column for older rows
+function programStrings(json, fallback) {
+    const strings = parseJsonColumn(json);
+    if (strings.length) return strings;
+    return fallback ? [{ lang: null, text: fallback }] : [];
+}
+
 // Helper: Get latest logos from logos.json
 function getLatestLogos() {
     try {
-        const logoPath = path.resolve(process.cwd(), 'logos.json');
-        if (fs.existsSync(logoPath)) {
-            return JSON.parse(fs.readFileSync(logoPath, 'utf8'));
+        if (fs.existsSync(LOGOS_PATH)) {
+            return JSON.parse(fs.readFileSync(LOGOS_PATH, 'utf8'));
         }
     } catch (e) {
         console.warn('[Config] Failed to parse logos.json:', e);
@@ -177,889 +544,4772 @@ function getLatestLogos() {
     return {};
 }
 
-// Helper: Acquire an available tuner, preempting if necessary
-async function acquireTuner() {
-    // 1. Try Round-Robin to find a free tuner that wasn't the last one used
-    for (let i = 0; i < TUNERS.length; i++) {
-        const nextIndex = (lastTunerIndex + 1 + i) % TUNERS.length;
-        const potentialTuner = TUNERS[nextIndex];
-        if (!potentialTuner.inUse) {
-            lastTunerIndex = nextIndex;
-            return potentialTuner;
-        }
-    }
-
-    // 2. If all busy, try to preempt one 
-    if (ENABLE_PREEMPTION) {
-        const preemptIndex = (lastTunerIndex + 1) % TUNERS.length;
-        const tuner = TUNERS[preemptIndex];
-
-        if (tuner && !tuner.epgScanning) { // Don't preempt EPG scan, it releases soon anyway
-            console.log(`Preempting Tuner ${tuner.id} for new request...`);
-            if (tuner.killSwitch) {
-                tuner.killSwitch();
-            }
-            // Wait for it to become free (max 3s)
-            for (let i = 0; i < 15; i++) {
-                if (!tuner.inUse) {
-                    lastTunerIndex = preemptIndex;
-                    return tuner;
-                }
-                await delay(200);
-            }
-        }
-    }
+// Metrics
+// Minimal Prometheus registry: counters are incremented where things happen,
+// gauges describing live state are filled in by collect() at scrape time.
+const METRICS = {
+    prefix: 'm3u_tuner_',
+    families: new Map(), // name -> { type, help, values: Map(labelKey -> { labels, value }) }
 
-    // 3. Last ditch: wait for any tuner 
-    for (let i = 0; i < 10; i++) {
-        for (let j = 0; j < TUNERS.length; j++) {
-            const idx = (lastTunerIndex + 1 + j) % TUNERS.length;
-            if (!TUNERS[idx].inUse) {
-                lastTunerIndex = idx;
-                return TUNERS[idx];
-            }
-        }
-        await delay(500);
-    }
+    define(name, type, help) {
+        this.families.set(name, { type, help, values: new Map() });
+    },
 
-    return null;
-}
+    labelKey(labels) {
+        return Object.keys(labels).sort().map(k => `${k}=${labels[k]}`).join(',');
+    },
 
-// Setup database tables
-db.serialize(() => {
-    db.run(`CREATE TABLE IF NOT EXISTS programs (
-        frequency TEXT,
-        channel_service_id TEXT,
-        start_time INTEGER,
-        end_time INTEGER,
-        title TEXT,
-        description TEXT,
-        event_id INTEGER,
-        source_id INTEGER,
-        PRIMARY KEY (frequency, channel_service_id, start_time)
-    )`);
-    db.run(`CREATE INDEX IF NOT EXISTS idx_end_time ON programs(end_time)`);
-});
+    inc(name, labels = {}, value = 1) {
+        const family = this.families.get(name);
+        const key = this.labelKey(labels);
+        const entry = family.values.get(key);
+        if (entry) entry.value += value;
+        else family.values.set(key, { labels, value });
+    },
 
-// EPG Modle
-const EPG = {
-    lastScan: 0,
-    isScanning: false,
-    isInitialScanDone: false,
-    sourceMap: new Map(), // ATSC Mapping: "freq_sourceId" -> channelNumber (e.g., "500000000_1" -> "15.1")
+    set(name, labels = {}, value) {
+        this.families.get(name).values.set(this.labelKey(labels), { labels, value });
+    },
 
-    // Helper: Parse DVB BCD and MJD to Timestamp
-    parseDVBTime(mjd, bcd) {
-        const Y = Math.floor((mjd - 15078.2) / 365.25);
-        const M = Math.floor((mjd - 14956.1 - Math.floor(Y * 365.25)) / 30.6001);
-        const D = mjd - 14956 - Math.floor(Y * 365.25) - Math.floor(M * 30.6001);
-        const k = (M === 14 || M === 15) ? 1 : 0;
-        const year = 1900 + Y + k;
-        const month = M - 1 - k * 12;
+    reset(name) {
+        this.families.get(name).values.clear();
+    },
 
-        const h = ((bcd >> 20) & 0x0F) * 10 + ((bcd >> 16) & 0x0F);
-        const m = ((bcd >> 12) & 0x0F) * 10 + ((bcd >> 8) & 0x0F);
-        const s = ((bcd >> 4) & 0x0F) * 10 + (bcd & 0x0F);
+    collect() {
+        this.set('tuners_total', {}, TUNERS.length);
+        this.set('tuners_in_use', {}, TUNERS.filter(t => t.inUse).length);
+        this.set('tuner_queue_length', {}, TUNER_ARBITER.queue.length);
+        this.set('stream_sessions_active', {}, SESSIONS.size);
+        this.set('stream_clients', {}, Array.from(SESSIONS.values()).reduce((n, s) => n + s.subscribers.size, 0));
+
+        ['tuner_in_use', 'tuner_epg_scanning', 'tuner_locked', 'tuner_signal_strength', 'tuner_snr_db', 'tuner_uncorrected_blocks'].forEach(n => this.reset(n));
+        TUNERS.forEach(tuner => {
+            const labels = { tuner: tuner.id.toString() };
+            this.set('tuner_in_use', labels, tuner.inUse ? 1 : 0);
+            this.set('tuner_epg_scanning', labels, tuner.epgScanning ? 1 : 0);
+
+            const signal = tuner.signal;
+            if (!signal) return;
+            this.set('tuner_locked', labels, signal.locked ? 1 : 0);
+            if (signal.signal !== undefined) {
+                this.set('tuner_signal_strength', Object.assign({ unit: signal.signalUnit || 'raw' }, labels), signal.signal);
+            }
+            if (signal.cnr !== undefined && signal.cnrUnit === 'dB') this.set('tuner_snr_db', labels, signal.cnr);
+            if (signal.ucb !== undefined) this.set('tuner_uncorrected_blocks', labels, signal.ucb);
+        });
+    },
 
-        try {
-            return new Date(Date.UTC(year, month - 1, D, h, m, s)).getTime();
-        } catch (e) { return 0; }
+    escapeLabel(value) {
+        return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
     },
 
-    async grab(scanTimeout = 15000) {
-        if (this.isScanning) return;
+    render() {
+        this.collect();
+        let out = '';
+        this.families.forEach((family, name) => {
+            const fullName = this.prefix + name;
+            out += `# HELP ${fullName} ${family.help}\n`;
+            out += `# TYPE ${fullName} ${family.type}\n`;
+            if (family.values.size === 0 && family.type === 'counter') {
+                out += `${fullName} 0\n`;
+            }
+            family.values.forEach(({ labels, value }) => {
+                const labelStr = Object.keys(labels).map(k => `${k}="${this.escapeLabel(labels[k])}"`).join(',');
+                out += `${fullName}${labelStr ? `{${labelStr}}` : ''} ${value}\n`;
+            });
+        });
+        return out;
+    }
+};
+
+METRICS.define('tuners_total', 'gauge', 'Number of tuners discovered.');
+METRICS.define('tuners_in_use', 'gauge', 'Number of tuners currently locked by a stream or EPG scan.');
+METRICS.define('tuner_in_use', 'gauge', 'Whether the tuner is in use.');
+METRICS.define('tuner_epg_scanning', 'gauge', 'Whether the tuner is running an EPG scan.');
+METRICS.define('tuner_locked', 'gauge', 'Whether the tuner frontend reported lock in its last statistics.');
+METRICS.define('tuner_signal_strength', 'gauge', 'Last reported signal strength (unit label is dBm or %).');
+METRICS.define('tuner_snr_db', 'gauge', 'Last reported carrier-to-noise ratio in dB.');
+METRICS.define('tuner_uncorrected_blocks', 'gauge', 'Last reported uncorrected block count.');
+METRICS.define('stream_sessions_active', 'gauge', 'Channel sessions currently streaming.');
+METRICS.define('stream_clients', 'gauge', 'Subscribers attached to channel sessions.');
+METRICS.define('stream_sessions_started_total', 'counter', 'Channel sessions started.');
+METRICS.define('stream_sessions_failed_total', 'counter', 'Channel sessions that failed to start or whose ffmpeg could not run.');
+METRICS.define('stream_sessions_preempted_total', 'counter', 'Channel sessions ended because their tuner was preempted.');
+METRICS.define('tuner_queue_length', 'gauge', 'Requests waiting for a tuner.');
+METRICS.define('tuner_requests_rejected_total', 'counter', 'Tuner requests rejected because none could be freed in time.');
+METRICS.define('bytes_streamed_total', 'counter', 'Bytes written to stream subscribers.');
+METRICS.define('ffmpeg_restarts_total', 'counter', 'ffmpeg processes restarted after exiting unexpectedly.');
+METRICS.define('watchdog_releases_total', 'counter', 'Subscribers dropped by the stall watchdog.');
+METRICS.define('epg_scans_total', 'counter', 'EPG mux scans run.');
+METRICS.define('epg_scan_duration_seconds', 'gauge', 'Duration of the last EPG scan of a mux.');
+METRICS.define('epg_programs', 'gauge', 'Program entries found by the last EPG scan of a mux.');
+METRICS.define('epg_scan_failures', 'gauge', 'Consecutive failed EPG scans of a mux.');
+METRICS.define('epg_harvested_programs_total', 'counter', 'Program entries picked up from live streams.');
+
+// Helper: Parse dvbv5-zap frontend statistics from stderr
+// e.g. "Lock   (0x1f) Signal= -38.00dBm C/N= 31.25dB UCB= 0 preBER= 1.2x10^-3 postBER= 0"
+function parseZapStats(text) {
+    const lines = text.split(/[\r\n]+/).filter(l => /\(0x[0-9a-f]+\)|Signal=|C\/N=|UCB=|BER=/i.test(l));
+    if (lines.length === 0) return null;
+    const line = lines[lines.length - 1];
+
+    const parseValue = (label) => {
+        const m = line.match(new RegExp(`${label}=\\s*(-?[\\d.]+)(?:x10\\^(-?\\d+))?\\s*(dBm|dB|%)?`));
+        if (!m) return null;
+        const value = parseFloat(m[1]) * (m[2] ? Math.pow(10, parseInt(m[2], 10)) : 1);
+        return { value, unit: m[3] || null };
+    };
+
+    const stats = { locked: /\bLock\b/.test(line) };
+    const status = line.match(/\(0x([0-9a-f]+)\)/i);
+    if (status) stats.status = parseInt(status[1], 16);
+
+    const signal = parseValue('Signal');
+    if (signal) { stats.signal = signal.value; stats.signalUnit = signal.unit; }
+    const cnr = parseValue('C\\/N');
+    if (cnr) { stats.cnr = cnr.value; stats.cnrUnit = cnr.unit; }
+    const ucb = parseValue('UCB');
+    if (ucb) stats.ucb = ucb.value;
+    const preBer = parseValue('preBER');
+    if (preBer) stats.preBer = preBer.value;
+    const postBer = parseValue('postBER');
+    if (postBer) stats.postBer = postBer.value;
+
+    return stats;
+}
+
+// Helper: Merge the latest frontend statistics into the tuner state
+function updateTunerSignal(tuner, stats) {
+    if (!stats) return;
+    tuner.signal = Object.assign({}, tuner.signal, stats, { updatedAt: Date.now() });
+}
+
+// Helper: Match client addresses against an IP or CIDR ("192.168.1.20", "10.0.0.0/8", "fd00::/8")
+function addressMatcher(pattern) {
+    const list = new net.BlockList();
+    const [address, prefix] = pattern.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    if (prefix !== undefined) list.addSubnet(address, parseInt(prefix, 10), type);
+    else list.addAddress(address, type);
+    return (client) => {
+        if (!client) return false;
+        client = client.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+        return list.check(client, net.isIPv6(client) ? 'ipv6' : 'ipv4');
+    };
+}
 
-        // Check if all tuners are free
-        const freeTuners = TUNERS.filter(t => !t.inUse);
-        if (freeTuners.length < TUNERS.length) {
-            console.log('[EPG] Tuners busy, skipping scan.');
-            this.isInitialScanDone = true; // Allow streaming if scan can't start
+// Authentication
+// Optional, configured in auth.json (re-read when it changes):
+//   allow  - CIDRs allowed to reach any HTTP route; empty lets every address in
+//   admin  - { username, password } for HTTP Basic on admin routes
+//   keys   - [{ name, token, allow, maxStreams, channels, priority, admin }]
+// A key is presented as an X-API-Key header, an "Authorization: Bearer" header or a ?token=
+// query parameter, which players keep in M3U URLs. A key without a token is matched by client
+// address instead (its allow list), for clients that cannot send one, like HDHomeRun apps.
+// Once keys exist every client route needs one; admin routes (/metrics and /api/* except the
+// guide) need Basic credentials or an admin key once either admin or keys is configured.
+const AUTH = {
+    conf: null,
+    clientApi: [/^\/api\/guide$/, /^\/api\/search$/, /^\/api\/channels\/[^/]+\/now-next$/],
+    streams: new Map(), // key name -> Set of stream ids counted against maxStreams
+
+    load() {
+        if (!fs.existsSync(AUTH_CONF)) {
+            if (this.conf) console.log('[Auth] Configuration removed, authentication disabled');
+            this.conf = null;
             return;
         }
 
-        this.isScanning = true;
+        let raw;
         try {
-            console.log('[EPG] Starting background EPG scan...');
+            raw = JSON.parse(fs.readFileSync(AUTH_CONF, 'utf8'));
+        } catch (e) {
+            // Keep the last good configuration; with none yet, fail closed rather than open
+            console.error(`[Auth] Could not read ${AUTH_CONF}:`, e.message);
+            if (!this.conf) this.conf = { allow: [() => false], admin: null, keys: [] };
+            return;
+        }
 
-            const muxMap = new Map();
-            CHANNELS.forEach(c => {
-                if (c.frequency) {
-                    if (!muxMap.has(c.frequency)) muxMap.set(c.frequency, c.number);
-                }
-            });
+        const matchers = (list, owner) => (list || []).flatMap(pattern => {
+            try {
+                return [addressMatcher(String(pattern))];
+            } catch (e) {
+                console.warn(`[Auth] ${owner}: ignoring address "${pattern}": ${e.message}`);
+                return [];
+            }
+        });
 
-            const frequencies = Array.from(muxMap.keys());
+        const keys = (raw.keys || []).map((key, i) => ({
+            name: key.name || `key${i + 1}`,
+            token: key.token ? String(key.token) : null,
+            allow: matchers(key.allow, key.name || `key${i + 1}`),
+            maxStreams: key.maxStreams > 0 ? key.maxStreams : null,
+            channels: Array.isArray(key.channels) ? key.channels.map(String) : null,
+            priority: parseInt(key.priority, 10) || 0,
+            admin: !!key.admin
+        })).filter(key => {
+            if (key.token || key.allow.length) return true;
+            console.warn(`[Auth] Key ${key.name} has neither a token nor an allow list, ignoring it`);
+            return false;
+        });
 
-            for (const freq of frequencies) {
-                // Re-check tuner status before each mux
-                const tuner = TUNERS.find(t => !t.inUse);
-                if (!tuner) break;
+        this.conf = {
+            allow: matchers(raw.allow, 'allow'),
+            admin: raw.admin && raw.admin.username && raw.admin.password ? raw.admin : null,
+            keys
+        };
+        console.log(`[Auth] ${keys.length} API keys loaded${this.conf.admin ? ', admin login enabled' : ''}` +
+            `${this.conf.allow.length ? `, ${this.conf.allow.length} allowed networks` : ''}`);
+    },
 
-                tuner.inUse = true;
-                tuner.epgScanning = true;
-                const channelName = muxMap.get(freq);
+    // Compare secrets without leaking how much of them matched
+    safeEqual(a, b) {
+        const digest = (s) => crypto.createHash('sha256').update(String(s)).digest();
+        return crypto.timingSafeEqual(digest(a), digest(b));
+    },
 
-                console.log(`[EPG] Scanning mux at ${freq} Hz using ${channelName} on Tuner ${tuner.id}...`);
+    token(req) {
+        const header = req.get('X-API-Key');
+        if (header) return header;
+        const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+        if (bearer) return bearer[1];
+        return typeof req.query.token === 'string' ? req.query.token : null;
+    },
 
-                try {
-                    await this.scanMux(tuner, channelName, freq, scanTimeout);
-                } catch (e) {
-                    console.error(`[EPG] Error scanning mux at ${freq}:`, e);
-                }
+    basic(req) {
+        const match = /^Basic\s+(\S+)$/i.exec(req.get('Authorization') || '');
+        if (!match || !this.conf.admin) return false;
+        const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+        const sep = decoded.indexOf(':');
+        if (sep === -1) return false;
+        // Check both halves so a wrong username takes as long as a wrong password
+        const user = this.safeEqual(decoded.slice(0, sep), this.conf.admin.username);
+        const password = this.safeEqual(decoded.slice(sep + 1), this.conf.admin.password);
+        return user && password;
+    },
+
+    isAdminRoute(req) {
+        return req.path === '/metrics' || (req.path.startsWith('/api/') && !this.clientApi.some(r => r.test(req.path)));
+    },
+
+    check(req, res, next) {
+        req.auth = null;
+        const conf = this.conf;
+        if (!conf) return next();
 
-                tuner.inUse = false;
-                tuner.epgScanning = false;
+        const client = req.socket.remoteAddress;
+        if (conf.allow.length && !conf.allow.some(match => match(client))) {
+            return res.status(403).json({ error: 'Address not allowed' });
+        }
 
-                // Short delay between muxes
-                await delay(2000);
+        let key = null;
+        const token = this.token(req);
+        if (token) {
+            key = conf.keys.find(k => k.token && this.safeEqual(k.token, token)) || null;
+            if (!key || (key.allow.length && !key.allow.some(match => match(client)))) {
+                return res.status(401).json({ error: 'Invalid API key' });
             }
-        } catch (e) {
-            console.error('[EPG] Critical error during grab:', e);
-        } finally {
-            this.isScanning = false;
-            this.lastScan = Date.now();
-            this.isInitialScanDone = true;
-            console.log('[EPG] Background EPG scan complete.');
+        } else {
+            key = conf.keys.find(k => !k.token && k.allow.some(match => match(client))) || null;
         }
-    },
+        req.auth = { key, token: key && key.token ? token : null, admin: false };
 
-    scanMux(tuner, channelName, freq, scanTimeout) {
-        return new Promise((resolve) => {
-            const args = [
-                '-c', CHANNELS_CONF,
-                '-a', tuner.id,
-                '-P', // User requested standalone flag
-                '-t', Math.ceil(scanTimeout / 1000).toString(),
-                '-o', '-',
-                channelName
-            ];
+        if (this.isAdminRoute(req)) {
+            if (!conf.admin && !conf.keys.length) return next();
+            if ((key && key.admin) || this.basic(req)) {
+                req.auth.admin = true;
+                return next();
+            }
+            res.set('WWW-Authenticate', `Basic realm="${FRIENDLY_NAME}", charset="UTF-8"`);
+            return res.status(401).json({ error: 'Admin credentials required' });
+        }
 
-            debugLog(`[EPG Debug] Spawning zap with args: ${JSON.stringify(args)}`);
+        if (conf.keys.length && !key) return res.status(401).json({ error: 'API key required' });
+        next();
+    },
 
-            const zap = spawn('dvbv5-zap', args);
+    // Channels the caller may see and watch
+    channels(req) {
+        const key = req.auth && req.auth.key;
+        return key && key.channels ? CHANNELS.filter(c => key.channels.includes(c.number)) : CHANNELS;
+    },
 
-            let buffer = Buffer.alloc(0);
-            let dataReceived = false;
+    canWatch(req, channel) {
+        const key = req.auth && req.auth.key;
+        return !key || !key.channels || key.channels.includes(channel.number);
+    },
 
-            zap.stdout.on('data', (data) => {
-                if (!dataReceived) {
-                    console.log(`[EPG] Receiving data stream for ${channelName}...`);
-                    dataReceived = true;
-                }
-                buffer = Buffer.concat([buffer, data]);
-                if (buffer.length > 50 * 1024 * 1024) { // 50MB limit for full mux scan
-                    zap.kill('SIGKILL');
-                }
-            });
+    // Query string for links handed to players, carrying the caller's token
+    linkQuery(req, params = {}) {
+        const query = new URLSearchParams();
+        Object.entries(params).forEach(([name, value]) => { if (value) query.set(name, value); });
+        if (req.auth && req.auth.token) query.set('token', req.auth.token);
+        const text = query.toString();
+        return text ? `?${text}` : '';
+    },
 
-            zap.stderr.on('data', (d) => {
-                debugLog(`[EPG Debug] Zap stderr: ${d.toString()}`);
-            });
+    // Count a stream against the caller's maxStreams. Returns a release function, or null when
+    // the key is at its limit. Claiming an id the key already holds (an HLS channel) is free.
+    claimStream(req, id) {
+        const key = req.auth && req.auth.key;
+        if (!key) return () => { };
+        const held = this.streams.get(key.name) || new Set();
+        this.streams.set(key.name, held);
+        if (held.has(id)) return () => { };
+        if (key.maxStreams && held.size >= key.maxStreams) return null;
+        held.add(id);
+        return () => {
+            held.delete(id);
+            if (!held.size && this.streams.get(key.name) === held) this.streams.delete(key.name);
+        };
+    }
+};
 
-            const timeout = setTimeout(() => {
-                if (!dataReceived) console.warn(`[EPG] No data received for ${channelName} after ${scanTimeout / 1000}s. Signal might be weak.`);
-                zap.kill('SIGKILL');
-            }, scanTimeout); // User specified timeout
+AUTH.load();
+app.use((req, res, next) => AUTH.check(req, res, next));
+
+// Tuner Arbitration
+// Every request for a tuner carries a kind and a level. Kinds rank recording > live > scan > epg;
+// the level (per-client, per-profile and per-API-key priority) orders requests of the same kind.
+// A request first joins a tuner already on its frequency, then takes a free tuner. Otherwise
+// it may preempt the lowest-priority holder (the most recently started one on a tie): an EPG
+// scan always gives way, anything else only with ENABLE_PREEMPTION and only to a strictly
+// higher priority. Requests that still find nothing wait in a bounded queue, served by
+// priority as tuners are released. Rejections list who holds each tuner.
+const TUNER_ARBITER = {
+    kinds: { epg: 0, scan: 1, live: 2, recording: 3 },
+    queue: [], // waiters, highest priority first
+    lastIndex: -1, // For Round-Robin selection
+
+    clientRules: CLIENT_PRIORITIES.flatMap(entry => {
+        const [pattern, level] = entry.split('=');
+        try {
+            return [{ match: addressMatcher(pattern.trim()), level: parseInt(level, 10) || 0 }];
+        } catch (e) {
+            console.warn(`[Tuners] Ignoring client priority "${entry}": ${e.message}`);
+            return [];
+        }
+    }),
+
+    request(kind, label, { client = null, profile = null, key = null } = {}) {
+        let level = 0;
+        const rule = client ? this.clientRules.find(r => r.match(client)) : null;
+        if (rule) level += rule.level;
+        if (profile && profile.priority) level += profile.priority;
+        if (key && key.priority) level += key.priority;
+        return { kind, level, label, client, rejection: null };
+    },
 
-            zap.on('exit', () => {
-                clearTimeout(timeout);
+    compare(a, b) {
+        return (this.kinds[a.kind] - this.kinds[b.kind]) || (a.level - b.level);
+    },
 
+    // Highest-priority request currently served by a tuner
+    holder(tuner) {
+        if (tuner.epgScanning) {
+            const current = EPG_SCHEDULER.current;
+            return {
+                kind: 'epg', level: 0,
+                label: current ? `EPG scan of ${current.mux.frequency} Hz` : 'EPG scan',
+                since: current ? current.startedAt : tuner.heldSince
+            };
+        }
 
-                const count = this.parseEIT(buffer, freq);
-                console.log(`[EPG] Mux scan finished. Discovered ${count} program entries.`);
-                resolve();
+        const mux = tuner.mux && !tuner.mux.stopping ? tuner.mux : null;
+        if (mux && mux.sessions.size) {
+            let top = null;
+            mux.sessions.forEach(session => {
+                const requests = session.subscribers.size
+                    ? Array.from(session.subscribers).map(sub => sub.request).filter(Boolean)
+                    : [session.request];
+                requests.forEach(r => { if (!top || this.compare(r, top) > 0) top = r; });
             });
-        });
+            if (top) return { kind: top.kind, level: top.level, label: top.label, since: mux.startedAt };
+        }
+
+        if (tuner.inUse && tuner.heldBy) {
+            const r = tuner.heldBy;
+            return { kind: r.kind, level: r.level, label: r.label, since: tuner.heldSince };
+        }
+        return null;
     },
 
-    parseEIT(buffer, freq) {
-        const stats = { count: 0 };
-        const sections = new Map();
+    status() {
+        return TUNERS.map(tuner => ({
+            tuner: tuner.id,
+            free: !tuner.inUse,
+            releasing: !!tuner.cleaningUp,
+            holder: tuner.inUse ? this.holder(tuner) : null
+        }));
+    },
 
-        debugLog(`[EPG] Beginning parse of ${buffer.length} bytes for frequency ${freq}...`);
-        const pidCounts = new Map();
-        const tableCounts = new Map();
+    describe(rejection) {
+        const holders = rejection.tuners.map(t => `Tuner ${t.tuner}: ${t.holder ? `${t.holder.label} (${t.holder.kind})` : (t.releasing ? 'releasing' : 'free')}`);
+        return `No tuners available (${rejection.reason}) - ${holders.join('; ')}`;
+    },
 
-        if (!this.sectionBuffers) this.sectionBuffers = new Map();
+    shared(frequency) {
+        if (!frequency) return null;
+        return TUNERS.find(t => t.inUse && !t.cleaningUp && !t.epgScanning &&
+            t.mux && !t.mux.stopping && t.mux.frequency === frequency) || null;
+    },
 
-        for (let i = 0; i < buffer.length - 188; i += 188) {
-            // ... Sync Check omitted ...
-            const pid = ((buffer[i + 1] & 0x1F) << 8) | buffer[i + 2];
-            pidCounts.set(pid, (pidCounts.get(pid) || 0) + 1);
+    free() {
+        for (let i = 0; i < TUNERS.length; i++) {
+            const index = (this.lastIndex + 1 + i) % TUNERS.length;
+            const tuner = TUNERS[index];
+            if (!tuner.inUse && !tuner.cleaningUp && !tuner.reservedBy) return tuner;
+        }
+        return null;
+    },
 
-            const pusi = buffer[i + 1] & 0x40;
-            const adaptation = (buffer[i + 3] & 0x30) >> 4;
-            let payloadOffset = 4;
-            if (adaptation === 2 || adaptation === 3) payloadOffset += buffer[i + 4] + 1;
+    // Lowest-priority tuner this request may take, most recently started first
+    victim(request) {
+        const candidates = TUNERS
+            .filter(t => t.inUse && !t.cleaningUp && !t.reservedBy)
+            .map(tuner => ({ tuner, holder: this.holder(tuner) }))
+            .filter(c => c.holder && this.compare(c.holder, request) < 0)
+            .filter(c => c.holder.kind === 'epg' || ENABLE_PREEMPTION);
+        candidates.sort((a, b) => this.compare(a.holder, b.holder) || (b.holder.since || 0) - (a.holder.since || 0));
+        return candidates[0] || null;
+    },
 
-            if (payloadOffset >= 188) continue;
-            let payload = buffer.slice(i + payloadOffset, i + 188);
+    take(tuner, request) {
+        this.lastIndex = TUNERS.indexOf(tuner);
+        tuner.inUse = true;
+        tuner.heldBy = request;
+        tuner.heldSince = Date.now();
+        return tuner;
+    },
 
-            if (pusi) {
-                const pointer = payload[0];
-                const sectionStart = payload.slice(pointer + 1);
-                if (sectionStart.length >= 3) {
-                    const sectionLen = ((sectionStart[1] & 0x0F) << 8) | sectionStart[2];
-                    const totalLen = sectionLen + 3;
-                    if (sectionStart.length >= totalLen) {
-                        this.handleCompleteSection(sectionStart.slice(0, totalLen), pid, stats, tableCounts, sections, freq);
-                    } else {
-                        this.sectionBuffers.set(pid, { buffer: sectionStart, totalLength: totalLen });
-                    }
-                }
-            } else {
-                const state = this.sectionBuffers.get(pid);
-                if (state) {
-                    state.buffer = Buffer.concat([state.buffer, payload]);
-                    if (state.buffer.length >= state.totalLength) {
-                        this.handleCompleteSection(state.buffer.slice(0, state.totalLength), pid, stats, tableCounts, sections, freq);
-                        this.sectionBuffers.delete(pid);
-                    }
-                }
+    acquire(frequency, request) {
+        // 0. Prefer a tuner that is already locked to the right frequency
+        const shared = this.shared(frequency);
+        if (shared) return Promise.resolve(shared);
+
+        // 1. A free tuner, round-robin, unless higher-priority requests are already waiting
+        const waiting = this.queue.length && this.compare(this.queue[0].request, request) >= 0;
+        const tuner = !waiting && this.free();
+        if (tuner) return Promise.resolve(this.take(tuner, request));
+
+        // 2. Queue, displacing the lowest-priority waiter when the queue is full
+        if (this.queue.length >= TUNER_QUEUE_SIZE) {
+            const last = this.queue[this.queue.length - 1];
+            if (TUNER_QUEUE_SIZE === 0 || this.compare(last.request, request) >= 0) {
+                return Promise.resolve(this.reject({ request }, 'queue full'));
             }
+            this.reject(last, 'displaced by a higher-priority request');
         }
 
+        return new Promise(resolve => {
+            const waiter = { request, frequency, resolve, reserved: null };
+            const index = this.queue.findIndex(w => this.compare(w.request, request) < 0);
+            this.queue.splice(index === -1 ? this.queue.length : index, 0, waiter);
+            waiter.timer = setTimeout(() => this.reject(waiter, 'timed out waiting for a tuner'), TUNER_QUEUE_TIMEOUT * 1000);
+            debugLog(`[Tuners] Queued ${request.label} (${request.kind}, level ${request.level}), ${this.queue.length} waiting`);
+
+            // 3. Preempt a lower-priority holder; its tuner is reserved for this waiter
+            const victim = this.victim(request);
+            if (victim) {
+                waiter.reserved = victim.tuner;
+                victim.tuner.reservedBy = waiter;
+                if (victim.holder.kind === 'epg') {
+                    EPG_SCHEDULER.pause();
+                } else {
+                    console.log(`Preempting Tuner ${victim.tuner.id} (${victim.holder.label}) for ${request.label}...`);
+                    if (victim.tuner.killSwitch) victim.tuner.killSwitch();
+                }
+            }
+            this.dispatch();
+        });
+    },
 
+    leave(waiter) {
+        clearTimeout(waiter.timer);
+        const index = this.queue.indexOf(waiter);
+        if (index !== -1) this.queue.splice(index, 1);
+        if (waiter.reserved && waiter.reserved.reservedBy === waiter) waiter.reserved.reservedBy = null;
+        waiter.reserved = null;
+    },
 
-        const sortedPids = Array.from(pidCounts.entries()).sort((a, b) => b[1] - a[1]).slice(0, 10);
-        debugLog('[EPG] Top 10 PIDs found:', Object.fromEntries(sortedPids));
-        debugLog(`[EPG] Guide PIDs seen? DVB(18): ${pidCounts.get(18) || 0}, ATSC(8187): ${pidCounts.get(8187) || 0}`);
+    reject(waiter, reason) {
+        this.leave(waiter);
+        const request = waiter.request;
+        request.rejection = { reason, tuners: this.status() };
+        METRICS.inc('tuner_requests_rejected_total', { kind: request.kind });
+        console.warn(`[Tuners] Rejected ${request.label}: ${this.describe(request.rejection)}`);
+        if (waiter.resolve) waiter.resolve(null);
+        return null;
+    },
 
-        const tableSummary = {};
-        tableCounts.forEach((v, k) => tableSummary[`0x${k.toString(16).toUpperCase()}`] = v);
-        debugLog('[EPG] ATSC Tables found:', tableSummary);
+    // Hand released tuners to waiters, and tuned muxes to waiters for the same frequency.
+    // Called wherever a tuner is marked free or a mux starts; nothing polls.
+    dispatch() {
+        this.queue.slice().forEach(waiter => {
+            const shared = this.shared(waiter.frequency);
+            if (shared) {
+                this.leave(waiter);
+                waiter.resolve(shared);
+            }
+        });
 
-        return stats.count;
+        TUNERS.forEach(tuner => {
+            if (tuner.inUse || tuner.cleaningUp || !this.queue.length) return;
+            const waiter = tuner.reservedBy && this.queue.includes(tuner.reservedBy) ? tuner.reservedBy : this.queue.find(w => !w.reserved);
+            tuner.reservedBy = null;
+            if (!waiter) return;
+            this.leave(waiter);
+            waiter.resolve(this.take(tuner, waiter.request));
+        });
     },
 
-    handleCompleteSection(section, pid, stats, tableCounts, sections, freq) {
-        const tableId = section[0];
-        if (tableId >= 0xC7 && tableId <= 0xCF) {
-            tableCounts.set(tableId, (tableCounts.get(tableId) || 0) + 1);
+    toJSON() {
+        return this.queue.map(w => ({ label: w.request.label, kind: w.request.kind, level: w.request.level, frequency: w.frequency || null }));
+    }
+};
+
+// Helper: Acquire a tuner for a request (see TUNER_ARBITER); null when rejected,
+// with request.rejection saying why and who holds each tuner.
+function acquireTuner(frequency, request) {
+    return TUNER_ARBITER.acquire(frequency, request);
+}
+
+// Helper: Add columns introduced after a table was first created
+async function addMissingColumns(table, columns) {
+    const rows = await dbAll(`PRAGMA table_info(${table})`);
+    const existing = new Set(rows.map(r => r.name));
+    for (const [name, type] of Object.entries(columns)) {
+        if (!existing.has(name)) await dbRun(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+    }
+}
+
+// Database Migrations
+// schema_version holds the number of migrations applied. Each runs once, in order, inside a
+// transaction. Append new ones at the end; never change one that has shipped.
+const DB_MIGRATIONS = [
+    // 1: The schema as it was before versioning. Older databases get the columns they miss.
+    async () => {
+        await dbRun(`CREATE TABLE IF NOT EXISTS programs (
+            frequency TEXT,
+            channel_service_id TEXT,
+            start_time INTEGER,
+            end_time INTEGER,
+            title TEXT,
+            description TEXT,
+            event_id INTEGER,
+            source_id INTEGER,
+            PRIMARY KEY (frequency, channel_service_id, start_time)
+        )`);
+        // Per-language strings as JSON [{ lang, text }]; title/subtitle/description hold the first one
+        // Event metadata: categories, ratings ([{ system, value }]) and captions ([{ type, lang }]) are JSON
+        await addMissingColumns('programs', {
+            titles: 'TEXT', descriptions: 'TEXT', subtitle: 'TEXT', subtitles: 'TEXT',
+            categories: 'TEXT', ratings: 'TEXT', captions: 'TEXT', audio: 'TEXT', video_aspect: 'TEXT', video_quality: 'TEXT'
+        });
+        await dbRun(`CREATE TABLE IF NOT EXISTS recording_rules (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            title TEXT NOT NULL,
+            channel TEXT,
+            padding_start INTEGER,
+            padding_end INTEGER,
+            created_at INTEGER
+        )`);
+        await dbRun(`CREATE TABLE IF NOT EXISTS recordings (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            channel TEXT NOT NULL,
+            title TEXT,
+            description TEXT,
+            start_time INTEGER NOT NULL,
+            end_time INTEGER NOT NULL,
+            padding_start INTEGER,
+            padding_end INTEGER,
+            rule_id INTEGER,
+            status TEXT DEFAULT 'scheduled',
+            file_path TEXT,
+            error TEXT,
+            created_at INTEGER,
+            UNIQUE (channel, start_time)
+        )`);
+        await dbRun(`CREATE INDEX IF NOT EXISTS idx_recordings_status ON recordings(status, start_time)`);
+    },
+    // 2: DVB programs were stored without a frequency. NULLs never collide in the primary key, so
+    //    every rescan added another copy. Those rows cannot be traced back to a mux and are dropped;
+    //    the next scan stores them again.
+    async () => {
+        const columns = `frequency, channel_service_id, start_time, end_time, title, description, event_id, source_id,
+            titles, descriptions, subtitle, subtitles, categories, ratings, captions, audio, video_aspect, video_quality`;
+        await dbRun(`CREATE TABLE programs_new (
+            frequency TEXT NOT NULL,
+            channel_service_id TEXT NOT NULL,
+            start_time INTEGER NOT NULL,
+            end_time INTEGER NOT NULL,
+            title TEXT,
+            description TEXT,
+            event_id INTEGER,
+            source_id INTEGER,
+            titles TEXT,
+            descriptions TEXT,
+            subtitle TEXT,
+            subtitles TEXT,
+            categories TEXT,
+            ratings TEXT,
+            captions TEXT,
+            audio TEXT,
+            video_aspect TEXT,
+            video_quality TEXT,
+            PRIMARY KEY (frequency, channel_service_id, start_time)
+        )`);
+        await dbRun(`INSERT OR IGNORE INTO programs_new (${columns})
+            SELECT ${columns} FROM programs WHERE frequency IS NOT NULL AND channel_service_id IS NOT NULL
+                AND start_time IS NOT NULL AND end_time IS NOT NULL`);
+        await dbRun('DROP TABLE programs');
+        await dbRun('ALTER TABLE programs_new RENAME TO programs');
+        await dbRun('CREATE INDEX idx_end_time ON programs(end_time)');
+        await dbRun('CREATE INDEX idx_programs_channel ON programs(frequency, channel_service_id, end_time)');
+    },
+    // 3: Full-text index over titles and descriptions for /api/search, kept in sync by triggers.
+    //    It refers to programs by rowid, so the table must not be VACUUMed without a 'rebuild'.
+    async () => {
+        await dbRun(`CREATE VIRTUAL TABLE programs_fts USING fts5(title, subtitle, description,
+            content='programs', content_rowid='rowid', tokenize='unicode61 remove_diacritics 2')`);
+        await dbRun(`CREATE TRIGGER programs_fts_insert AFTER INSERT ON programs BEGIN
+            INSERT INTO programs_fts(rowid, title, subtitle, description) VALUES (new.rowid, new.title, new.subtitle, new.description);
+        END`);
+        await dbRun(`CREATE TRIGGER programs_fts_delete AFTER DELETE ON programs BEGIN
+            INSERT INTO programs_fts(programs_fts, rowid, title, subtitle, description) VALUES ('delete', old.rowid, old.title, old.subtitle, old.description);
+        END`);
+        await dbRun(`CREATE TRIGGER programs_fts_update AFTER UPDATE ON programs BEGIN
+            INSERT INTO programs_fts(programs_fts, rowid, title, subtitle, description) VALUES ('delete', old.rowid, old.title, old.subtitle, old.description);
+            INSERT INTO programs_fts(rowid, title, subtitle, description) VALUES (new.rowid, new.title, new.subtitle, new.description);
+        END`);
+        await dbRun(`INSERT INTO programs_fts(programs_fts) VALUES ('rebuild')`);
+    },
+    // 4: Programs imported from external XMLTV files, kept apart from the broadcast guide and
+    //    merged with it when the guide is served. channel is our channel number.
+    async () => {
+        await dbRun(`CREATE TABLE external_programs (
+            source TEXT NOT NULL,
+            channel TEXT NOT NULL,
+            start_time INTEGER NOT NULL,
+            end_time INTEGER NOT NULL,
+            title TEXT,
+            subtitle TEXT,
+            description TEXT,
+            titles TEXT,
+            subtitles TEXT,
+            descriptions TEXT,
+            categories TEXT,
+            ratings TEXT,
+            episode_num TEXT,
+            episode_onscreen TEXT,
+            icon TEXT,
+            PRIMARY KEY (channel, start_time)
+        )`);
+        await dbRun('CREATE INDEX idx_external_source ON external_programs(source)');
+        await dbRun('CREATE INDEX idx_external_end_time ON external_programs(end_time)');
+    },
+    // 5: external_programs was keyed by (channel, start_time), so a file importing a program at the
+    //    same time as another file replaced it. Each source now keeps its own rows; XMLTV_IMPORT.merge
+    //    picks between them by source precedence.
+    async () => {
+        const columns = `source, channel, start_time, end_time, title, subtitle, description,
+            titles, subtitles, descriptions, categories, ratings, episode_num, episode_onscreen, icon`;
+        await dbRun(`CREATE TABLE external_programs_new (
+            source TEXT NOT NULL,
+            channel TEXT NOT NULL,
+            start_time INTEGER NOT NULL,
+            end_time INTEGER NOT NULL,
+            title TEXT,
+            subtitle TEXT,
+            description TEXT,
+            titles TEXT,
+            subtitles TEXT,
+            descriptions TEXT,
+            categories TEXT,
+            ratings TEXT,
+            episode_num TEXT,
+            episode_onscreen TEXT,
+            icon TEXT,
+            PRIMARY KEY (source, channel, start_time)
+        )`);
+        await dbRun(`INSERT INTO external_programs_new (${columns}) SELECT ${columns} FROM external_programs`);
+        await dbRun('DROP TABLE external_programs');
+        await dbRun('ALTER TABLE external_programs_new RENAME TO external_programs');
+        await dbRun('CREATE INDEX idx_external_channel ON external_programs(channel, start_time)');
+        await dbRun('CREATE INDEX idx_external_end_time ON external_programs(end_time)');
+    }
+];
+
+async function migrateDatabase() {
+    await dbRun('CREATE TABLE IF NOT EXISTS schema_version (version INTEGER NOT NULL)');
+    const row = await dbGet('SELECT version FROM schema_version');
+    if (!row) await dbRun('INSERT INTO schema_version (version) VALUES (0)');
+    let version = row ? row.version : 0;
+
+    if (version > DB_MIGRATIONS.length) {
+        console.warn(`[DB] ${dbPath} has schema version ${version}, newer than this release knows (${DB_MIGRATIONS.length}).`);
+    }
+    for (; version < DB_MIGRATIONS.length; version++) {
+        const next = version + 1;
+        await dbTransaction(async () => {
+            await DB_MIGRATIONS[version]();
+            await dbRun('UPDATE schema_version SET version = ?', [next]);
+        }).catch(e => {
+            throw new Error(`Migration ${next} failed: ${e.message}`);
+        });
+        console.log(`[DB] Applied schema migration ${version + 1}`);
+    }
+}
+
+// Everything that touches the database waits for this. WAL makes the frequent small commits of guide batches cheaper.
+const dbReady = dbRun('PRAGMA journal_mode = WAL').then(migrateDatabase).catch(e => {
+    console.error(`[DB] Could not prepare ${dbPath}:`, e.message);
+    process.exit(1);
+});
+
+// ATSC Multiple String Structure (A/65 section 6.10)
+// Text in the EIT, ETT and VCT is a list of strings, one per language, each made of segments
+// that carry their own compression type and character mode.
+const MSS = {
+    huffmanTables: undefined, // Loaded on first use: { 1: title table, 2: description table }
+
+    // The A/65 Annex C decode trees are published as hex in the standard (Tables C.5 and C.7).
+    // They are loaded from ATSC_HUFFMAN_TABLES: { "title": "<hex>", "description": "<hex>" }
+    loadHuffmanTables() {
+        if (this.huffmanTables !== undefined) return this.huffmanTables;
+        this.huffmanTables = null;
+        try {
+            const data = JSON.parse(fs.readFileSync(ATSC_HUFFMAN_TABLES, 'utf8'));
+            const title = Buffer.from(String(data.title || '').replace(/[^0-9a-f]/gi, ''), 'hex');
+            const description = Buffer.from(String(data.description || '').replace(/[^0-9a-f]/gi, ''), 'hex');
+            if (title.length < 256 || description.length < 256) throw new Error('tables are incomplete');
+            this.huffmanTables = { 1: title, 2: description };
+            console.log(`[ATSC] Loaded Huffman tables from ${ATSC_HUFFMAN_TABLES}`);
+        } catch (e) {
+            console.warn(`[ATSC] Huffman tables unavailable (${ATSC_HUFFMAN_TABLES}: ${e.code || e.message}). Compressed guide text will be skipped.`);
         }
+        return this.huffmanTables;
+    },
 
-        if (tableId === 0xC8 || tableId === 0xC9) {
-            this.parseATSCVCT(section, freq);
-        } else if ((tableId >= 0x4E && tableId <= 0x6F) || (tableId >= 0xC7 && tableId <= 0xCF)) {
-            const id = (section[3] << 8) | section[4];
-            this.parseEITSection(section, id, () => { stats.count++; }, freq);
+    // Decode a full MSS into [{ lang, text }], one entry per string (language)
+    decode(buffer) {
+        const strings = [];
+        if (!buffer || buffer.length < 1) return strings;
+
+        const numStrings = buffer[0];
+        let offset = 1;
+        for (let i = 0; i < numStrings; i++) {
+            if (offset + 4 > buffer.length) break;
+            const lang = buffer.toString('latin1', offset, offset + 3).replace(/[^a-zA-Z]/g, '');
+            const numSegments = buffer[offset + 3];
+            offset += 4;
+
+            let text = '';
+            for (let s = 0; s < numSegments; s++) {
+                if (offset + 3 > buffer.length) break;
+                const compression = buffer[offset];
+                const mode = buffer[offset + 1];
+                const numBytes = buffer[offset + 2];
+                offset += 3;
+                if (offset + numBytes > buffer.length) break;
+                text += this.decodeSegment(compression, mode, buffer.slice(offset, offset + numBytes));
+                offset += numBytes;
+            }
+
+            text = text.replace(/[\x00-\x09\x0B-\x1F\x7F]+/g, '').trim();
+            if (text) strings.push({ lang: lang || null, text });
         }
+        return strings;
     },
 
-    parseEITSection(section, id, onFound, freq) {
-        const tableId = section[0];
-        const sectionLength = ((section[1] & 0x0F) << 8) | section[2];
-        if (section.length < sectionLength + 3) return;
+    decodeSegment(compression, mode, bytes) {
+        if (compression === 0x01 || compression === 0x02) {
+            const tables = this.loadHuffmanTables();
+            if (!tables) return '';
+            return this.decodeHuffman(bytes, tables[compression]);
+        }
+        if (compression !== 0x00) {
+            debugLog(`[ATSC] Unsupported MSS compression type 0x${compression.toString(16)}`);
+            return '';
+        }
+        return this.decodeMode(mode, bytes);
+    },
 
-        const mapKey = `${freq}_${id}`;
+    // A/65 Table 6.41: modes 0x00-0x33 select the Unicode page the bytes index into,
+    // 0x3E is SCSU, 0x3F is UTF-16. Anything else is country specific and skipped.
+    decodeMode(mode, bytes) {
+        if (mode <= 0x33) {
+            let text = '';
+            for (const b of bytes) text += String.fromCharCode((mode << 8) | b);
+            return text;
+        }
+        if (mode === 0x3E) return this.decodeSCSU(bytes);
+        if (mode === 0x3F) {
+            const even = bytes.length - (bytes.length % 2);
+            return Buffer.from(bytes.slice(0, even)).swap16().toString('utf16le');
+        }
+        if (mode === 0xFF) return bytes.toString('latin1'); // "Not applicable"; seen on uncompressed ASCII
+        debugLog(`[ATSC] Unsupported MSS mode 0x${mode.toString(16)}`);
+        return '';
+    },
 
-        if (tableId === 0xCB) {
-            // EIT (Event Information Table)
-            let serviceId = this.sourceMap.get(mapKey) || id.toString();
-            this.parseATSCEIT(section, serviceId, onFound, id, freq);
-        } else if (tableId === 0xCC) {
-            // ETT (Extended Text Table)
-            let serviceId = this.sourceMap.get(mapKey) || id.toString();
-            this.parseATSCEET(section, id, serviceId, freq);
-        } else if (tableId >= 0x4E && tableId <= 0x6F) {
-            this.parseDVBEIT(section, id, onFound);
+    // A/65 Annex C: order-1 Huffman. The table starts with 128 big-endian byte offsets,
+    // one decode tree per previous character. Tree nodes are byte pairs (0 branch, 1 branch);
+    // a byte with the high bit set is a leaf holding a 7-bit character, otherwise it is the
+    // index of the next node. ESC (0x1B) is followed by an 8-bit literal; 0x00 ends the string.
+    decodeHuffman(bytes, table) {
+        const ESC = 0x1B;
+        const totalBits = bytes.length * 8;
+        let bit = 0;
+        let prev = 0;
+        let text = '';
+
+        const readBit = () => (bytes[bit >> 3] >> (7 - (bit++ & 7))) & 1;
+
+        while (bit < totalBits) {
+            if (prev === ESC) {
+                if (bit + 8 > totalBits) break;
+                let literal = 0;
+                for (let i = 0; i < 8; i++) literal = (literal << 1) | readBit();
+                text += String.fromCharCode(literal);
+                // Only 7-bit characters have a context of their own
+                prev = literal < 0x80 ? literal : ESC;
+                if (literal === 0) break;
+                continue;
+            }
+
+            const treeOffset = table.readUInt16BE(prev * 2);
+            let node = 0;
+            let leaf = -1;
+            while (bit < totalBits) {
+                const index = treeOffset + node * 2 + readBit();
+                if (index >= table.length) return text;
+                const child = table[index];
+                if (child & 0x80) {
+                    leaf = child & 0x7F;
+                    break;
+                }
+                node = child;
+            }
+            if (leaf < 0 || leaf === 0) break; // Ran out of bits or hit the terminator
+            if (leaf !== ESC) text += String.fromCharCode(leaf);
+            prev = leaf;
         }
+        return text;
     },
 
-    parseATSCVCT(section, freq) {
-        try {
-            const sectionLength = ((section[1] & 0x0F) << 8) | section[2];
-            const numChannels = section[9];
-            let offset = 10;
+    // Standard Compression Scheme for Unicode (Unicode Technical Standard #6)
+    decodeSCSU(bytes) {
+        const staticWindows = [0x0000, 0x0080, 0x0100, 0x0300, 0x2000, 0x2080, 0x2100, 0x3000];
+        const windows = [0x0080, 0x00C0, 0x0400, 0x0600, 0x0900, 0x3040, 0x30A0, 0xFF00];
+        const windowOffset = (x) => {
+            if (x >= 0x01 && x <= 0x67) return x * 0x80;
+            if (x >= 0x68 && x <= 0xA7) return x * 0x80 + 0xAC00;
+            return { 0xF9: 0x00C0, 0xFA: 0x0250, 0xFB: 0x0370, 0xFC: 0x0530, 0xFD: 0x3040, 0xFE: 0x30A0, 0xFF: 0xFF60 }[x] || 0;
+        };
+        const extendedOffset = (hi, lo) => 0x10000 + (((hi & 0x1F) << 8) | lo) * 0x80;
+
+        const units = [];
+        let active = 0;
+        let unicodeMode = false;
+        let i = 0;
+        const push = (cp) => units.push(String.fromCodePoint(cp));
+
+        while (i < bytes.length) {
+            const b = bytes[i++];
+            if (unicodeMode) {
+                if (b >= 0xE0 && b <= 0xE7) { active = b - 0xE0; unicodeMode = false; }
+                else if (b >= 0xE8 && b <= 0xEF) { windows[b - 0xE8] = windowOffset(bytes[i++]); active = b - 0xE8; unicodeMode = false; }
+                else if (b === 0xF0) { units.push(String.fromCharCode((bytes[i] << 8) | bytes[i + 1])); i += 2; }
+                else if (b === 0xF1) { active = bytes[i] >> 5; windows[active] = extendedOffset(bytes[i], bytes[i + 1]); i += 2; unicodeMode = false; }
+                else if (b !== 0xF2) { units.push(String.fromCharCode((b << 8) | bytes[i++])); }
+                continue;
+            }
 
-            for (let i = 0; i < numChannels; i++) {
-                if (offset + 32 > sectionLength + 3) break;
+            if (b >= 0x80) push(windows[active] + b - 0x80);
+            else if (b >= 0x20 || b === 0x00 || b === 0x09 || b === 0x0A || b === 0x0D) push(b);
+            else if (b >= 0x01 && b <= 0x08) {
+                const q = bytes[i++];
+                push(q < 0x80 ? staticWindows[b - 1] + q : windows[b - 1] + q - 0x80);
+            }
+            else if (b === 0x0B) { active = bytes[i] >> 5; windows[active] = extendedOffset(bytes[i], bytes[i + 1]); i += 2; }
+            else if (b === 0x0E) { units.push(String.fromCharCode((bytes[i] << 8) | bytes[i + 1])); i += 2; }
+            else if (b === 0x0F) unicodeMode = true;
+            else if (b >= 0x10 && b <= 0x17) active = b - 0x10;
+            else if (b >= 0x18 && b <= 0x1F) { windows[b - 0x18] = windowOffset(bytes[i++]); active = b - 0x18; }
+        }
+        return units.join('');
+    }
+};
 
-                const programNumber = (section[offset + 24] << 8) | section[offset + 25];
-                const sourceId = (section[offset + 28] << 8) | section[offset + 29];
+// EIT Descriptors: genres, ratings, captions and audio/video formats
+// Tags are only unique within a standard, so ATSC and DVB events are parsed with their own set.
+const EVENT_DESCRIPTORS = {
+    // DVB content descriptor (EN 300 468 Table 28). The first name of each nibble is the broad
+    // category XMLTV clients such as Jellyfin sort on (Movie, News, Sports, Children).
+    dvbGenres: {
+        0x1: ['Movie', 'Detective / Thriller', 'Adventure / Western / War', 'Science Fiction / Fantasy / Horror', 'Comedy', 'Soap / Melodrama / Folklore', 'Romance', 'Serious / Classical / Religious / Historical', 'Adult'],
+        0x2: ['News', 'News / Weather Report', 'News Magazine', 'Documentary', 'Discussion / Interview / Debate'],
+        0x3: ['Show', 'Game Show / Quiz / Contest', 'Variety Show', 'Talk Show'],
+        0x4: ['Sports', 'Special Events', 'Sports Magazine', 'Football / Soccer', 'Tennis / Squash', 'Team Sports', 'Athletics', 'Motor Sport', 'Water Sport', 'Winter Sports', 'Equestrian', 'Martial Sports'],
+        0x5: ['Children', 'Pre-school', 'Entertainment (6 to 14)', 'Entertainment (10 to 16)', 'Informational / Educational', 'Cartoons / Puppets'],
+        0x6: ['Music', 'Rock / Pop', 'Classical Music', 'Folk / Traditional Music', 'Jazz', 'Musical / Opera', 'Ballet'],
+        0x7: ['Arts / Culture', 'Performing Arts', 'Fine Arts', 'Religion', 'Popular Culture / Traditional Arts', 'Literature', 'Film / Cinema', 'Experimental Film / Video', 'Broadcasting / Press', 'New Media', 'Arts / Culture Magazine', 'Fashion'],
+        0x8: ['Social / Political Issues / Economics', 'Magazine / Report / Documentary', 'Economics / Social Advisory', 'Remarkable People'],
+        0x9: ['Education / Science / Factual', 'Nature / Animals / Environment', 'Technology / Natural Sciences', 'Medicine / Physiology / Psychology', 'Foreign Countries / Expeditions', 'Social / Spiritual Sciences', 'Further Education', 'Languages'],
+        0xA: ['Leisure / Hobbies', 'Tourism / Travel', 'Handicraft', 'Motoring', 'Fitness and Health', 'Cooking', 'Advertisement / Shopping', 'Gardening']
+    },
 
-                if (sourceId) {
-                    const mapKey = `${freq}_${sourceId}`;
-                    // ATSC A/65 Table 6.7: 10-bit major, 10-bit minor
-                    // Byte 14: reserved(4), major(4 high)
-                    // Byte 15: major(6 low), minor(2 high)
-                    // Byte 16: minor(8 low)
-                    const major = ((section[offset + 14] & 0x0F) << 6) | (section[offset + 15] >> 2);
-                    const minor = ((section[offset + 15] & 0x03) << 8) | section[offset + 16];
-                    const virtualChannel = `${major}.${minor}`;
+    // ATSC genre descriptor codes (A/65 Table 6.20), starting at 0x20
+    atscGenres: [
+        'Education', 'Entertainment', 'Movie', 'News', 'Religious', 'Sports', 'Other', 'Action',
+        'Advertisement', 'Animated', 'Anthology', 'Automobile', 'Awards', 'Baseball', 'Basketball', 'Bulletin',
+        'Business', 'Classical', 'College', 'Combat', 'Comedy', 'Commentary', 'Concert', 'Consumer',
+        'Contemporary', 'Crime', 'Dance', 'Documentary', 'Drama', 'Elementary', 'Erotica', 'Exercise',
+        'Fantasy', 'Farm', 'Fashion', 'Fiction', 'Food', 'Football', 'Foreign', 'Fund Raiser',
+        'Game/Quiz', 'Garden', 'Golf', 'Government', 'Health', 'High School', 'History', 'Hobby',
+        'Hockey', 'Home', 'Horror', 'Information', 'Instruction', 'International', 'Interview', 'Language',
+        'Legal', 'Live', 'Local', 'Math', 'Medical', 'Meeting', 'Military', 'Miniseries',
+        'Music', 'Mystery', 'National', 'Nature', 'Police', 'Politics', 'Premier', 'Prerecorded',
+        'Product', 'Professional', 'Public', 'Racing', 'Reading', 'Repair', 'Repeat', 'Review',
+        'Romance', 'Science', 'Series', 'Service', 'Shopping', 'Soap Opera', 'Special', 'Suspense',
+        'Talk', 'Technical', 'Tennis', 'Travel', 'Variety', 'Video', 'Weather', 'Western',
+        'Art', 'Auto Racing', 'Aviation', 'Biography', 'Boating', 'Bowling', 'Boxing', 'Cartoon',
+        'Children', 'Classic Film', 'Community', 'Computers', 'Country Music', 'Court', 'Extreme Sports', 'Family',
+        'Financial', 'Gymnastics', 'Headlines', 'Horse Racing', 'Hunting/Fishing/Outdoors', 'Independent', 'Jazz', 'Magazine',
+        'Motorcycle Racing', 'Music/Film/Books', 'News-International', 'News-Local', 'News-National', 'News-Regional', 'Olympics', 'Original',
+        'Performing Arts', 'Pets/Animals', 'Pop', 'Rock & Roll', 'Sci-Fi', 'Self Improvement', 'Sitcom', 'Skating',
+        'Skiing', 'Soccer', 'Track/Field', 'True', 'Volleyball', 'Wrestling'
+    ],
+
+    // US rating region (CEA-766): value names per rating dimension
+    usRatings: [
+        ['', 'None', 'TV-G', 'TV-PG', 'TV-14', 'TV-MA'], // Entire audience
+        ['', 'D'], ['', 'L'], ['', 'S'], ['', 'V'], // Dialogue, language, sex, violence
+        ['', 'TV-Y', 'TV-Y7'], // Children
+        ['', 'FV'], // Fantasy violence
+        ['', 'N/A', 'G', 'PG', 'PG-13', 'R', 'NC-17', 'X', 'NR'] // MPAA
+    ],
+
+    // AC-3 acmod/num_channels to the XMLTV <stereo> value
+    ac3Channels: ['bilingual', 'mono', 'stereo', 'dolby digital', 'dolby digital', 'dolby digital', 'dolby digital', 'dolby digital',
+        'mono', 'stereo', 'dolby digital', 'dolby digital', 'dolby digital', 'dolby digital'],
+
+    // Parse the descriptor loop [start, end) of one event
+    parse(section, start, end, system) {
+        const info = { categories: [], ratings: [], captions: [], audio: null, videoAspect: null, videoQuality: null };
+
+        let offset = start;
+        while (offset + 2 <= end) {
+            const tag = section[offset];
+            const len = section[offset + 1];
+            const body = section.slice(offset + 2, offset + 2 + len);
+            if (offset + 2 + len > end) break;
+
+            try {
+                if (system === 'atsc') {
+                    if (tag === 0xAB) this.parseATSCGenre(body, info);
+                    else if (tag === 0x87) this.parseContentAdvisory(body, info);
+                    else if (tag === 0x86) this.parseCaptionService(body, info);
+                    else if (tag === 0x81) this.parseAC3(body, info);
+                } else {
+                    if (tag === 0x54) this.parseDVBContent(body, info);
+                    else if (tag === 0x55) this.parseParentalRating(body, info);
+                    else if (tag === 0x50) this.parseComponent(body, info);
+                }
+            } catch (e) {
+                debugLog(`[EPG] Bad descriptor 0x${tag.toString(16)}: ${e.message}`);
+            }
+            offset += 2 + len;
+        }
 
-                    // Match logic:
-                    // 1. High Precision: Match by Frequency AND Virtual Channel Number (Most reliable)
-                    let channel = CHANNELS.find(c => c.frequency == freq && c.number === virtualChannel);
+        info.categories = Array.from(new Set(info.categories));
+        return info;
+    },
 
-                    // 2. Fallback: Match by Frequency AND ServiceID (Program Number)
-                    if (!channel) {
-                        channel = CHANNELS.find(c => c.frequency == freq && c.serviceId == programNumber.toString());
-                    }
+    parseDVBContent(body, info) {
+        for (let i = 0; i + 1 < body.length; i += 2) {
+            const names = this.dvbGenres[body[i] >> 4];
+            if (!names) continue;
+            info.categories.push(names[0]);
+            const sub = body[i] & 0x0F;
+            if (sub && names[sub]) info.categories.push(names[sub]);
+        }
+    },
 
-                    // 3. Last Resort: Global Virtual Channel match (for redundancy)
-                    if (!channel) {
-                        channel = CHANNELS.find(c => c.number === virtualChannel);
-                    }
+    // Minimum age is rating + 3; 0x10 and up are broadcaster defined
+    parseParentalRating(body, info) {
+        for (let i = 0; i + 3 < body.length; i += 4) {
+            const rating = body[i + 3];
+            if (rating < 0x01 || rating > 0x0F) continue;
+            info.ratings.push({ system: body.toString('latin1', i, i + 3).toUpperCase(), value: String(rating + 3) });
+        }
+    },
 
-                    if (channel) {
-                        if (this.sourceMap.get(mapKey) !== channel.number) {
-                            debugLog(`[ATSC VCT] Map: ${freq} Source ${sourceId} -> ${channel.name} (${channel.number})`);
-                            this.sourceMap.set(mapKey, channel.number);
-                        }
-                    } else {
-                        if (!this.sourceMap.has(mapKey)) {
-                            debugLog(`[ATSC VCT] Unconfigured: ${freq} Source ${sourceId} -> ${virtualChannel}`);
-                            this.sourceMap.set(mapKey, virtualChannel);
-                        }
-                    }
-                }
-                const descriptorsLength = ((section[offset + 30] & 0x03) << 8) | section[offset + 31];
-                offset += 32 + descriptorsLength;
+    // stream_content/component_type pairs (EN 300 468 Table 26) for video, audio and subtitles
+    parseComponent(body, info) {
+        if (body.length < 6) return;
+        const content = body[0] & 0x0F;
+        const type = body[1];
+        const lang = body.toString('latin1', 3, 6);
+
+        if (content === 0x01 || content === 0x05) { // MPEG-2 or H.264 video
+            const hd = content === 0x01 ? type >= 0x09 && type <= 0x10 : type >= 0x0B;
+            const wide = content === 0x01 ? [0x02, 0x03, 0x04, 0x06, 0x07, 0x08, 0x0A, 0x0B, 0x0C, 0x0E, 0x0F, 0x10].includes(type) : type !== 0x01 && type !== 0x05;
+            info.videoQuality = hd ? 'HDTV' : (info.videoQuality || 'SDTV');
+            info.videoAspect = wide ? '16:9' : '4:3';
+        } else if (content === 0x09 && (body[0] >> 4) === 0x00) { // HEVC
+            info.videoQuality = type === 0x00 ? 'SDTV' : (type === 0x01 ? 'HDTV' : 'UHDTV');
+            info.videoAspect = '16:9';
+        } else if (content === 0x02 || content === 0x06) { // MPEG-1 Layer 2 or (HE-)AAC audio
+            const modes = { 0x01: 'mono', 0x02: 'bilingual', 0x03: 'stereo', 0x05: 'surround' };
+            info.audio = modes[type & 0x0F] || info.audio;
+        } else if (content === 0x04) { // AC-3
+            info.audio = 'dolby digital';
+        } else if (content === 0x03) { // Teletext subtitles, DVB subtitles (incl. hard of hearing) or sign language
+            let kind = null;
+            if (type === 0x01 || type === 0x02) kind = 'teletext';
+            else if ((type >= 0x10 && type <= 0x15) || (type >= 0x20 && type <= 0x25)) kind = 'onscreen';
+            else if (type === 0x30 || type === 0x31) kind = 'deaf-signed';
+            if (kind) info.captions.push({ type: kind, lang });
+        }
+    },
+
+    parseATSCGenre(body, info) {
+        const count = body[0] & 0x1F;
+        for (let i = 1; i <= count && i < body.length; i++) {
+            const name = this.atscGenres[body[i] - 0x20];
+            if (name) info.categories.push(name);
+        }
+    },
+
+    // A/65 6.9.6: per rating region, a list of (dimension, value) pairs and an MSS description
+    parseContentAdvisory(body, info) {
+        const regions = body[0] & 0x3F;
+        let offset = 1;
+        for (let r = 0; r < regions && offset + 2 <= body.length; r++) {
+            const region = body[offset];
+            const dimensions = body[offset + 1];
+            offset += 2;
+
+            const values = [];
+            for (let d = 0; d < dimensions && offset + 2 <= body.length; d++) {
+                values.push({ dimension: body[offset], value: body[offset + 1] & 0x0F });
+                offset += 2;
             }
-        } catch (e) {
-            console.error('[ATSC VCT] Error:', e);
+            const descLen = body[offset] || 0;
+            const description = MSS.decode(body.slice(offset + 1, offset + 1 + descLen));
+            offset += 1 + descLen;
+
+            const ratings = region === 0x01 ? this.usRating(values) : [];
+            if (ratings.length) ratings.forEach(rating => info.ratings.push(rating));
+            else if (description.length) info.ratings.push({ system: 'VCHIP', value: description[0].text });
         }
     },
 
-    parseATSCEIT(section, virtualChannel, onFound, sourceId, freq) {
+    // Build "TV-PG-LV" style V-Chip and MPAA ratings from US region dimension values
+    usRating(values) {
+        const name = (dimension, value) => (this.usRatings[dimension] || [])[value] || '';
+        const ratings = [];
+
+        // Entire audience (TV-G...TV-MA) or children (TV-Y, TV-Y7), plus content flags
+        const tv = values.map(v => (v.dimension === 0 || v.dimension === 5) ? name(v.dimension, v.value) : '')
+            .find(n => n && n !== 'None');
+        if (tv) {
+            // Content dimensions are on/off: any non-zero value sets the flag, in D, L, S, V, FV order
+            const flags = [1, 2, 3, 4, 6].filter(d => values.some(v => v.dimension === d && v.value)).map(d => name(d, 1)).join('');
+            ratings.push({ system: 'VCHIP', value: flags ? `${tv}-${flags}` : tv });
+        }
+
+        const mpaa = values.find(v => v.dimension === 7);
+        const mpaaName = mpaa && name(7, mpaa.value);
+        if (mpaaName && mpaaName !== 'N/A') ratings.push({ system: 'MPAA', value: mpaaName });
+        return ratings;
+    },
+
+    // A/65 6.9.2: up to 31 services, each flagging 608/708 captions and widescreen
+    parseCaptionService(body, info) {
+        const count = body[0] & 0x1F;
+        for (let i = 0; i < count; i++) {
+            const offset = 1 + i * 6;
+            if (offset + 6 > body.length) break;
+            info.captions.push({ type: 'cc', lang: body.toString('latin1', offset, offset + 3) });
+            if (body[offset + 4] & 0x40) info.videoAspect = '16:9';
+        }
+    },
+
+    // ATSC A/52 Annex A AC-3 audio descriptor
+    parseAC3(body, info) {
+        if (body.length < 3) return;
+        const surroundMode = body[1] & 0x03;
+        const channels = (body[2] >> 1) & 0x0F;
+        const stereo = this.ac3Channels[channels] || null;
+        // Two channels flagged as Dolby Surround encoded
+        info.audio = stereo === 'stereo' && surroundMode === 0x02 ? 'dolby' : stereo;
+    }
+};
+
+// DVB Text Decoding (EN 300 468 Annex A)
+// A string may start with a selector naming its character table; without one it is table 00,
+// a superset of ISO/IEC 6937 where accents are sent as a prefix byte before the letter.
+const DVB_TEXT = {
+    // Single-byte selectors 0x01-0x0B pick ISO/IEC 8859-5 to 8859-15
+    isoParts: { 0x01: 5, 0x02: 6, 0x03: 7, 0x04: 8, 0x05: 9, 0x06: 10, 0x07: 11, 0x09: 13, 0x0A: 14, 0x0B: 15 },
+
+    // Table 00, 0xA0-0xFF. Non-spacing diacritics (0xC1-0xCF) map to combining marks.
+    iso6937: [
+        '\u00A0', '¡', '¢', '£', '€', '¥', '#', '§', '¤', '‘', '“', '«', '←', '↑', '→', '↓',
+        '°', '±', '²', '³', '×', 'µ', '¶', '·', '÷', '’', '”', '»', '¼', '½', '¾', '¿',
+        '', '\u0300', '\u0301', '\u0302', '\u0303', '\u0304', '\u0306', '\u0307', '\u0308', '', '\u030A', '\u0327', '', '\u030B', '\u0328', '\u030C',
+        '―', '¹', '®', '©', '™', '♪', '¬', '¦', '', '', '', '', '⅛', '⅜', '⅝', '⅞',
+        'Ω', 'Æ', 'Đ', 'ª', 'Ħ', '', 'Ĳ', 'Ŀ', 'Ł', 'Ø', 'Œ', 'º', 'Þ', 'Ŧ', 'Ŋ', 'ŉ',
+        'ĸ', 'æ', 'đ', 'ð', 'ħ', 'ı', 'ĳ', 'ŀ', 'ł', 'ø', 'œ', 'ß', 'þ', 'ŧ', 'ŋ', '\u00AD'
+    ],
+
+    // Split off the character table selector: returns { selector, body }
+    splitSelector(bytes) {
+        if (!bytes || bytes.length === 0) return { selector: Buffer.alloc(0), body: Buffer.alloc(0) };
+        const first = bytes[0];
+        let size = 0;
+        if (first >= 0x20) size = 0;
+        else if (first === 0x10) size = 3;
+        else if (first === 0x1F) size = 2;
+        else size = 1;
+        return { selector: bytes.slice(0, size), body: bytes.slice(size) };
+    },
+
+    // Decode one text field. Newlines (CR/LF control 0x8A) are kept; other controls are dropped.
+    decode(bytes) {
+        const { selector, body } = this.splitSelector(bytes);
+        const table = selector.length ? selector[0] : 0x00;
+        let text = '';
+
         try {
-            const sectionLength = ((section[1] & 0x0F) << 8) | section[2];
-            // ATSC EIT header is 10 bytes (table_id to num_events_in_section)
-            // section[0] table_id
-            // section[1-2] section_length
-            // section[3-4] source_id
-            // section[5] version_number, current_next_indicator
-            // section[6] section_number
-            // section[7] last_section_number
-            // section[8] protocol_version
-            // section[9] num_events_in_section
-            const numEvents = section[9];
-            // console.log(`[ATSC DEBUG] Header: SourceID=${sourceId}, NumEvents=${numEvents}, Len=${sectionLength}`);
-            let offset = 10; // Start of event loop
+            if (table === 0x00) {
+                text = this.decode6937(this.stripControls(body));
+            } else if (this.isoParts[table] || table === 0x10) {
+                const part = table === 0x10 ? selector[2] : this.isoParts[table];
+                const plain = this.stripControls(body);
+                text = part === 1 ? plain.toString('latin1') : new TextDecoder(`iso-8859-${part}`).decode(plain);
+            } else if (table === 0x11) {
+                const even = body.length - (body.length % 2);
+                text = Buffer.from(body.slice(0, even)).swap16().toString('utf16le');
+            } else if (table === 0x12) {
+                text = new TextDecoder('euc-kr').decode(body);
+            } else if (table === 0x13) {
+                text = new TextDecoder('gb2312').decode(body);
+            } else if (table === 0x14) {
+                text = new TextDecoder('big5').decode(body);
+            } else if (table === 0x15) {
+                text = body.toString('utf8');
+            } else {
+                debugLog(`[DVB] Unsupported character table 0x${table.toString(16)}`);
+                return '';
+            }
+        } catch (e) {
+            debugLog(`[DVB] Could not decode text with table 0x${table.toString(16)}: ${e.message}`);
+            return '';
+        }
 
-            if (numEvents > 0) {
-                // console.log(`[ATSC EIT] Parsing ${numEvents} events for SourceID ${sourceId} (Table 0x${section[0].toString(16)})`);
+        // Multi-byte tables carry the control codes as U+0080-009F or U+E080-E09F
+        return text
+            .replace(/[\u008A\uE08A]/g, '\n')
+            .replace(/[\u0080-\u009F\uE080-\uE09F]/g, '')
+            .replace(/[\x00-\x09\x0B-\x1F\x7F]/g, '')
+            .trim();
+    },
+
+    // Single-byte tables: 0x80-0x9F are control codes, only CR/LF survives
+    stripControls(bytes) {
+        const out = [];
+        for (const b of bytes) {
+            if (b === 0x8A) out.push(0x0A);
+            else if (b < 0x80 || b > 0x9F) out.push(b);
+        }
+        return Buffer.from(out);
+    },
+
+    decode6937(bytes) {
+        let text = '';
+        let accent = '';
+        for (const b of bytes) {
+            if (b < 0xA0) {
+                text += String.fromCharCode(b) + accent;
+                accent = '';
+            } else if (b >= 0xC1 && b <= 0xCF) {
+                accent = this.iso6937[b - 0xA0];
+            } else {
+                text += this.iso6937[b - 0xA0] + accent;
+                accent = '';
             }
+        }
+        return text.normalize('NFC');
+    },
 
-            for (let i = 0; i < numEvents; i++) {
-                // Check if enough bytes remain for event_id, start_time, duration, title_length
-                if (offset + 10 > sectionLength + 3) {
-                    debugLog(`[ATSC DEBUG] Offset overflow at event ${i}: ${offset} > ${sectionLength}`);
-                    break;
-                }
+    // Join the raw bytes of a text split over several descriptors before decoding, so that
+    // multi-byte characters cut at a descriptor boundary survive. Repeated selectors are dropped.
+    join(parts) {
+        if (parts.length === 0) return Buffer.alloc(0);
+        const first = this.splitSelector(parts[0]).selector;
+        return Buffer.concat(parts.map((part, i) => {
+            if (i === 0) return part;
+            const { selector, body } = this.splitSelector(part);
+            return selector.equals(first) ? body : part;
+        }));
+    }
+};
 
-                const eventId = ((section[offset] & 0x3F) << 8) | section[offset + 1];
-                const startTimeGPS = section.readUInt32BE(offset + 2);
-                const duration = ((section[offset + 6] & 0x0F) << 16) | (section[offset + 7] << 8) | section[offset + 8];
-                const titleLength = section[offset + 9];
+// MPEG-TS Section Demuxer
+// Turns transport stream chunks into complete PSI/PSIP sections. Packets are checked for sync,
+// transport errors and continuity; a section that loses a packet or fails its CRC is dropped
+// rather than parsed as garbage. options.filter(pid) selects the PIDs to reassemble.
+const CRC32_MPEG_TABLE = (() => {
+    const table = new Int32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let crc = i << 24;
+        for (let j = 0; j < 8; j++) crc = (crc & 0x80000000) ? (crc << 1) ^ 0x04C11DB7 : crc << 1;
+        table[i] = crc;
+    }
+    return table;
+})();
+
+// CRC-32/MPEG-2 over a section including its CRC field is 0 when the section is intact
+function crc32Mpeg(buffer) {
+    let crc = -1;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = (crc << 8) ^ CRC32_MPEG_TABLE[((crc >>> 24) ^ buffer[i]) & 0xFF];
+    }
+    return crc >>> 0;
+}
 
-                // console.log(`[ATSC DEBUG] Evt ${eventId}: Start=${startTimeGPS} Dur=${duration} TitleLen=${titleLength}`);
+function createSectionDemuxer({ filter, onSection }) {
+    const partials = new Map(); // pid -> { chunks, length, total }
+    const counters = new Map(); // pid -> last continuity counter
+    let leftover = null; // Incomplete packet carried over between chunks
+    const stats = { packets: 0, pidCounts: new Map(), syncErrors: 0, ccErrors: 0, crcErrors: 0, sections: 0 };
 
-                // GPS Epoch 1980-01-06 00:00:00 UTC. diff 315964800
-                // Subtracting 18 seconds to convert GPS time to UTC time (Leap Seconds)
-                const startTime = (startTimeGPS + 315964800 - 18) * 1000;
-                const endTime = startTime + duration * 1000;
+    function emit(section, pid) {
+        // Only the long form (section_syntax_indicator) carries a CRC
+        if ((section[1] & 0x80) && crc32Mpeg(section) !== 0) {
+            stats.crcErrors++;
+            return;
+        }
+        stats.sections++;
+        onSection(section, pid);
+    }
 
-                let title = '';
-                let description = '';
-                let currentEventOffset = offset + 10;
+    // Append payload bytes to the section being collected on pid
+    function collect(pid, partial, bytes) {
+        partial.chunks.push(bytes);
+        partial.length += bytes.length;
+        if (partial.total === null && partial.length >= 3) {
+            const head = partial.chunks.length === 1 ? partial.chunks[0] : Buffer.concat(partial.chunks);
+            partial.total = (((head[1] & 0x0F) << 8) | head[2]) + 3;
+        }
+        if (partial.total !== null && partial.length >= partial.total) {
+            partials.delete(pid);
+            emit(Buffer.concat(partial.chunks, partial.length).slice(0, partial.total), pid);
+        }
+    }
 
-                // Parse title (Multi-String Structure)
-                if (titleLength > 0 && currentEventOffset + titleLength <= section.length) {
-                    let titleBuffer = section.slice(currentEventOffset, currentEventOffset + titleLength);
-
-                    if (titleBuffer.length > 0) {
-                        const numStrings = titleBuffer[0];
-                        let stringOffset = 1;
-                        // MSS: numStrings(1) + Lang(3) + Segments(1) + Comp(1) + Mode(1) + Len(1) + Text
-                        // Total header size for first segment is 1+3+1+1+1+1 = 8 bytes.
-                        if (numStrings > 0 && titleBuffer.length >= stringOffset + 7) {
-                            const stringLen = titleBuffer[stringOffset + 6];   // Index 7 (Len)
-                            // console.log(`[ATSC DEBUG] MSS String 0: Len=${stringLen}`);
-                            if (titleBuffer.length >= stringOffset + 7 + stringLen) {
-                                title = titleBuffer.slice(stringOffset + 7, stringOffset + 7 + stringLen).toString('utf8');
-                                title = title.replace(/[\x00-\x09\x0B-\x1F\x7F]+/g, '').trim();
-                                debugLog(`[ATSC DEBUG] Decoded Title: "${title}"`);
-                            }
-                        }
+    // Start of one or more sections inside a payload, after the pointer field
+    function startSections(pid, data) {
+        let offset = 0;
+        while (offset < data.length && data[offset] !== 0xFF) { // 0xFF is stuffing
+            if (data.length - offset < 3) {
+                collect(pid, setPartial(pid), data.slice(offset));
+                return;
+            }
+            const total = (((data[offset + 1] & 0x0F) << 8) | data[offset + 2]) + 3;
+            if (offset + total > data.length) {
+                collect(pid, setPartial(pid), data.slice(offset));
+                return;
+            }
+            emit(data.slice(offset, offset + total), pid);
+            offset += total;
+        }
+    }
+
+    function setPartial(pid) {
+        const partial = { chunks: [], length: 0, total: null };
+        partials.set(pid, partial);
+        return partial;
+    }
+
+    function packet(buffer, i) {
+        stats.packets++;
+        const pid = ((buffer[i + 1] & 0x1F) << 8) | buffer[i + 2];
+        stats.pidCounts.set(pid, (stats.pidCounts.get(pid) || 0) + 1);
+        if (!filter(pid)) return;
+
+        if (buffer[i + 1] & 0x80) { // transport_error_indicator
+            partials.delete(pid);
+            return;
+        }
+
+        const adaptation = (buffer[i + 3] >> 4) & 0x03;
+        if (!(adaptation & 0x01)) return; // No payload
+
+        const cc = buffer[i + 3] & 0x0F;
+        const last = counters.get(pid);
+        counters.set(pid, cc);
+        if (last !== undefined) {
+            if (cc === last) return; // Duplicate packet
+            if (cc !== ((last + 1) & 0x0F)) {
+                stats.ccErrors++;
+                partials.delete(pid);
+            }
+        }
+
+        let offset = i + 4;
+        if (adaptation & 0x02) offset += buffer[i + 4] + 1;
+        if (offset >= i + 188) return;
+        const payload = buffer.slice(offset, i + 188);
+
+        if (buffer[i + 1] & 0x40) { // payload_unit_start_indicator
+            const pointer = payload[0];
+            const partial = partials.get(pid);
+            partials.delete(pid);
+            // The bytes before the pointer finish the previous section; if they don't, it is lost
+            if (partial && pointer > 0) collect(pid, partial, payload.slice(1, 1 + pointer));
+            if (1 + pointer < payload.length) startSections(pid, payload.slice(1 + pointer));
+        } else {
+            const partial = partials.get(pid);
+            if (partial) collect(pid, partial, payload);
+        }
+    }
+
+    return {
+        stats,
+
+        push(data) {
+            const buffer = leftover ? Buffer.concat([leftover, data]) : data;
+            let i = 0;
+            while (i + 188 <= buffer.length) {
+                if (buffer[i] !== 0x47) {
+                    // Lost packet alignment; resync on the next sync byte
+                    stats.syncErrors++;
+                    const next = buffer.indexOf(0x47, i + 1);
+                    if (next < 0) {
+                        i = buffer.length;
+                        break;
                     }
+                    i = next;
+                    continue;
                 }
+                packet(buffer, i);
+                i += 188;
+            }
+            leftover = i < buffer.length ? Buffer.from(buffer.slice(i)) : null;
+        }
+    };
+}
 
-                currentEventOffset += titleLength;
+// EPG Store
+// Decoded events are buffered and written in batches, one transaction and a handful of prepared
+// statements per batch, instead of an autocommitted statement per event.
+const EPG_STORE = {
+    batchSize: 500, // Programs that trigger a write right away
+    flushDelay: 2000, // Otherwise, ms to wait for more
+    textExpiry: 3 * 60 * 60 * 1000, // Extended texts whose event never shows up are dropped after this
+    programs: [],
+    texts: new Map(), // "frequency:channel:eventId" -> { frequency, channel, eventId, descriptions, queuedAt }
+    timer: null,
+    statements: null,
+    writing: Promise.resolve(), // Batches and purges run one after another
+    lastWrite: Date.now(), // Last change to the guide, for Last-Modified/ETag on /xmltv.xml
+
+    // Same shape for ATSC and DVB events. An event replaces every program it overlaps on the same
+    // channel, so a rescheduled or shifted program takes over the slot instead of sitting next to
+    // the old one. descriptions: null keeps the stored description (ATSC sends it in the ETT).
+    addProgram(p) {
+        this.programs.push(p);
+        this.schedule();
+    },
 
-                // Descriptors... 
-                if (currentEventOffset + 2 <= section.length - 4) {
-                    const descriptorsLength = ((section[currentEventOffset] & 0x0F) << 8) | section[currentEventOffset + 1];
-                    currentEventOffset += 2;
-                    if (currentEventOffset + descriptorsLength <= section.length - 4) {
-                        currentEventOffset += descriptorsLength;
-                    } else {
-                        // Descriptors overflow
-                        currentEventOffset = section.length - 4;
+    // ATSC extended text. It is kept until the EIT row it belongs to has been written.
+    addText(t) {
+        this.texts.set(`${t.frequency}:${t.channel}:${t.eventId}`, Object.assign({ queuedAt: Date.now() }, t));
+        this.schedule();
+    },
+
+    schedule() {
+        if (this.programs.length >= this.batchSize) return this.flush();
+        if (!this.timer) this.timer = setTimeout(() => this.flush(), this.flushDelay);
+    },
+
+    prepare() {
+        if (!this.statements) {
+            this.statements = {
+                deleteOverlaps: db.prepare(`DELETE FROM programs WHERE frequency = ? AND channel_service_id = ?
+                    AND start_time < ? AND end_time > ? AND start_time != ?`),
+                upsert: db.prepare(`INSERT INTO programs (frequency, channel_service_id, start_time, end_time, title, description, subtitle, event_id, source_id,
+                        titles, descriptions, subtitles, categories, ratings, captions, audio, video_aspect, video_quality)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    ON CONFLICT(frequency, channel_service_id, start_time)
+                    DO UPDATE SET end_time=excluded.end_time, title=excluded.title,
+                        description=COALESCE(excluded.description, description), descriptions=COALESCE(excluded.descriptions, descriptions),
+                        subtitle=excluded.subtitle, event_id=excluded.event_id, source_id=excluded.source_id, titles=excluded.titles,
+                        subtitles=excluded.subtitles, categories=excluded.categories, ratings=excluded.ratings, captions=excluded.captions,
+                        audio=excluded.audio, video_aspect=excluded.video_aspect, video_quality=excluded.video_quality`),
+                updateText: db.prepare(`UPDATE programs SET description = ?, descriptions = ?
+                    WHERE frequency = ? AND channel_service_id = ? AND event_id = ?`)
+            };
+        }
+        return this.statements;
+    },
+
+    // Write everything queued so far. Resolves once it is committed.
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        const programs = this.programs;
+        this.programs = [];
+        if (!programs.length && !this.texts.size) return this.writing;
+        this.writing = this.writing.then(() => this.write(programs));
+        return this.writing;
+    },
+
+    async write(programs) {
+        const { deleteOverlaps, upsert, updateText } = this.prepare();
+        const first = (strings) => strings && strings.length ? strings[0].text : null;
+        const started = Date.now();
+        let applied = 0;
+        try {
+            await dbTransaction(async () => {
+                for (const p of programs) {
+                    await stmtRun(deleteOverlaps, [p.frequency, p.channel, p.end, p.start, p.start]);
+                    await stmtRun(upsert, [p.frequency, p.channel, p.start, p.end, first(p.titles), first(p.descriptions), first(p.subtitles), p.eventId, p.sourceId,
+                        JSON.stringify(p.titles), p.descriptions ? JSON.stringify(p.descriptions) : null, JSON.stringify(p.subtitles),
+                        JSON.stringify(p.info.categories), JSON.stringify(p.info.ratings), JSON.stringify(p.info.captions),
+                        p.info.audio, p.info.videoAspect, p.info.videoQuality]);
+                }
+                // Texts are tried after the programs, so an ETT that beat its EIT into the batch still lands
+                for (const [key, t] of Array.from(this.texts)) {
+                    const { changes } = await stmtRun(updateText, [t.descriptions[0].text, JSON.stringify(t.descriptions), t.frequency, t.channel, t.eventId]);
+                    if (changes || started - t.queuedAt > this.textExpiry) {
+                        if (this.texts.get(key) === t) this.texts.delete(key);
+                        if (changes) applied++;
                     }
-                } else {
-                    // No room for desc length (often just padding before CRC)
-                    currentEventOffset = section.length - 4;
                 }
+            });
+            if (programs.length || applied) this.lastWrite = Date.now();
+            debugLog(`[EPG] Wrote ${programs.length} programs and ${applied} descriptions in ${Date.now() - started}ms (${this.texts.size} descriptions waiting for their event)`);
+        } catch (e) {
+            console.error(`[EPG] Could not write ${programs.length} programs:`, e);
+        }
+    },
 
-                if (title && startTime > 0) {
-                    onFound();
-                    db.run(`INSERT INTO programs (frequency, channel_service_id, start_time, end_time, title, description, event_id, source_id) 
-                            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-                            ON CONFLICT(frequency, channel_service_id, start_time) 
-                            DO UPDATE SET title=excluded.title, end_time=excluded.end_time, event_id=excluded.event_id, source_id=excluded.source_id`,
-                        [freq, virtualChannel, startTime, endTime, title, description, eventId, sourceId]);
-                } else {
-                    debugLog(`[ATSC DEBUG] Skipped: Title="${title}" Start=${startTime}`);
+    // Write what is queued and release the statements, so the database can be closed
+    async close() {
+        await this.flush();
+        if (!this.statements) return;
+        const statements = Object.values(this.statements);
+        this.statements = null;
+        await Promise.all(statements.map(stmt => new Promise(resolve => stmt.finalize(resolve))));
+    },
+
+    // Run a task that writes outside the batches (imports, purges) once no batch is being written
+    exclusive(task) {
+        const run = this.writing.then(task);
+        this.writing = run.catch(() => { });
+        return run;
+    },
+
+    // Drop programs that ended more than EPG_RETENTION seconds ago
+    purge() {
+        return this.exclusive(async () => {
+            try {
+                const cutoff = Date.now() - EPG_RETENTION * 1000;
+                const purged = await dbTransaction(async () => {
+                    const programs = await dbRun('DELETE FROM programs WHERE end_time < ?', [cutoff]);
+                    const external = await dbRun('DELETE FROM external_programs WHERE end_time < ?', [cutoff]);
+                    return programs.changes + external.changes;
+                });
+                if (purged) {
+                    EPG_STORE.lastWrite = Date.now();
+                    console.log(`[EPG] Purged ${purged} ended program(s).`);
                 }
+            } catch (e) {
+                console.error('[EPG] Could not purge old programs:', e);
+            }
+        });
+    }
+};
+
+// EPG Modle
+const EPG = {
+    sourceMap: new Map(), // ATSC Mapping: "freq_sourceId" -> channelNumber (e.g., "500000000_1" -> "15.1")
+    gpsUtcOffset: 18, // Leap seconds between GPS and UTC, updated from the STT
+    sectionVersions: new Map(), // "freq:pid:tableId:extension:section" -> version already parsed
+    lastHarvest: new Map(), // freq -> { time, horizon } of the last complete guide from a live stream
+    systemTime: null, // Last STT received
+
+    // Helper: Parse DVB BCD and MJD to Timestamp
+    parseDVBTime(mjd, bcd) {
+        const Y = Math.floor((mjd - 15078.2) / 365.25);
+        const M = Math.floor((mjd - 14956.1 - Math.floor(Y * 365.25)) / 30.6001);
+        const D = mjd - 14956 - Math.floor(Y * 365.25) - Math.floor(M * 30.6001);
+        const k = (M === 14 || M === 15) ? 1 : 0;
+        const year = 1900 + Y + k;
+        const month = M - 1 - k * 12;
+
+        const h = ((bcd >> 20) & 0x0F) * 10 + ((bcd >> 16) & 0x0F);
+        const m = ((bcd >> 12) & 0x0F) * 10 + ((bcd >> 8) & 0x0F);
+        const s = ((bcd >> 4) & 0x0F) * 10 + (bcd & 0x0F);
+
+        try {
+            return new Date(Date.UTC(year, month - 1, D, h, m, s)).getTime();
+        } catch (e) { return 0; }
+    },
+
+    // Resolves with { programs, horizon, complete, locked } once the tuner is released
+    scanMux(tuner, channelName, freq, scanTimeout) {
+        return new Promise((resolve) => {
+            const handle = BACKEND.tune(tuner, { number: channelName, frequency: freq }, { allPids: true, timeout: scanTimeout });
+            tuner.processes = { tuner: handle };
+
+            const scan = this.createScan(freq);
+            const scanStart = Date.now();
+            let dataReceived = false;
+
+            // Sections are parsed as they arrive, so only the guide PIDs are ever held in memory
+            handle.stream.on('data', (data) => {
+                if (!dataReceived) {
+                    console.log(`[EPG] Receiving data stream for ${channelName}...`);
+                    dataReceived = true;
+                }
+                if (scan.complete) return;
+                if (this.feed(scan, data)) {
+                    console.log(`[EPG] Guide complete for ${channelName} after ${((Date.now() - scanStart) / 1000).toFixed(1)}s.`);
+                    handle.stop();
+                }
+            });
+
+            handle.on('log', (text) => debugLog(`[EPG Debug] Tuner output: ${text}`));
+            handle.on('stats', (stats) => updateTunerSignal(tuner, stats));
+
+            const timeout = setTimeout(() => {
+                if (!dataReceived) console.warn(`[EPG] No data received for ${channelName} after ${scanTimeout / 1000}s. Signal might be weak.`);
+                handle.stop();
+            }, scanTimeout); // User specified timeout
+
+            let finished = false;
+            const finish = () => {
+                if (finished) return;
+                finished = true;
+                clearTimeout(timeout);
+                tuner.processes = {};
+
+                const count = this.finishScan(scan);
+                console.log(`[EPG] Mux scan finished. Discovered ${count} program entries.`);
+                resolve({ programs: count, horizon: scan.horizon, complete: scan.complete, locked: dataReceived });
+            };
+
+            handle.on('exit', finish);
+            handle.on('error', (err) => {
+                console.error(`[EPG] Tuner error on ${channelName}: ${err.message}`);
+                finish();
+            });
+        });
+    },
+
+    // Per-scan parser state. Until an MGT (ATSC) or SDT (DVB) identifies the mux, every PID
+    // is demuxed (or options.pids only); afterwards only the guide PIDs are.
+    createScan(freq, options = {}) {
+        const scan = {
+            freq,
+            count: 0,
+            horizon: 0, // Latest end time of the programs parsed
+            tableCounts: new Map(),
+            pids: options.pids ? new Set(options.pids) : null,
+            skipped: 0, // Sections already parsed at the same version
+            mgt: null, // { version, eitPids: Map(pid -> version), ettPids: Map(pid -> version) }
+            sdt: null, // DVB services with a guide: Map(serviceId -> { schedule, presentFollowing })
+            sdtServices: new Map(), // Services collected from SDT sections so far
+            tables: new Map(), // "pid:tableId:extension" -> { version, last, seen: Set, segments: Map }
+            vctSources: null, // Source ids with a guide, from a complete VCT
+            knownEvents: new Set(), // "sourceId:eventId" parsed from EIT-k during this scan
+            expectedEtms: new Set(), // "sourceId:eventId" announced by EIT-k events as on this mux
+            receivedEtms: new Set(),
+            complete: false
+        };
+        scan.demux = createSectionDemuxer({
+            filter: (pid) => !scan.pids || scan.pids.has(pid),
+            onSection: (section, pid) => this.handleCompleteSection(scan, section, pid)
+        });
+        return scan;
+    },
+
+    // Feed a chunk of transport stream. Returns true once every guide table is collected.
+    feed(scan, data) {
+        scan.demux.push(data);
+        if (!scan.complete && (scan.mgt || scan.sdt)) scan.complete = this.isScanComplete(scan);
+        return scan.complete;
+    },
+
+    // Passive harvesting: the guide of a mux that is already tuned for viewers. Only the PSIP
+    // base PID and the DVB SI PIDs are demuxed until the MGT/SDT names the rest, so the
+    // audio/video PIDs cost nothing.
+    startHarvest(freq) {
+        return this.createScan(freq, { pids: [0x1FFB, 0x11, 0x12, 0x14] });
+    },
+
+    // Returns false if harvesting failed and should stop; the stream itself must never be affected
+    harvest(scan, data) {
+        try {
+            const before = scan.count;
+            const skippedBefore = scan.skipped;
+            const wasComplete = scan.complete;
+            this.feed(scan, data);
+            if (scan.count > before) {
+                METRICS.inc('epg_harvested_programs_total', { frequency: scan.freq }, scan.count - before);
+            }
+            if (scan.complete && !wasComplete) {
+                console.log(`[EPG] Guide for ${scan.freq} Hz harvested from the live stream (${scan.count} program entries).`);
+            }
+            // A complete harvest stays current for as long as the stream runs: every new version parsed,
+            // and every repeat of an unchanged one, counts as a refresh of the mux
+            if (scan.complete && (!wasComplete || scan.count > before || scan.skipped > skippedBefore)) {
+                const previous = this.lastHarvest.get(scan.freq);
+                this.lastHarvest.set(scan.freq, { time: Date.now(), horizon: Math.max(scan.horizon, previous ? previous.horizon : 0) });
+            }
+            return true;
+        } catch (e) {
+            console.error(`[EPG] Stopped harvesting ${scan.freq} Hz:`, e);
+            return false;
+        }
+    },
+
+    finishScan(scan) {
+        const { stats } = scan.demux;
+        const sortedPids = Array.from(stats.pidCounts.entries()).sort((a, b) => b[1] - a[1]).slice(0, 10);
+        debugLog('[EPG] Top 10 PIDs found:', Object.fromEntries(sortedPids));
+        debugLog(`[EPG] Guide PIDs seen? DVB(18): ${stats.pidCounts.get(18) || 0}, ATSC(8187): ${stats.pidCounts.get(8187) || 0}`);
+        debugLog(`[EPG] ${stats.sections} sections (${scan.skipped} unchanged), ${stats.ccErrors} continuity errors, ${stats.crcErrors} CRC errors, ${stats.syncErrors} sync losses`);
+
+        const tableSummary = {};
+        scan.tableCounts.forEach((v, k) => tableSummary[`0x${k.toString(16).toUpperCase()}`] = v);
+        debugLog('[EPG] ATSC Tables found:', tableSummary);
+
+        EPG_STORE.flush();
+        return scan.count;
+    },
+
+    handleCompleteSection(scan, section, pid) {
+        const tableId = section[0];
+        const freq = scan.freq;
+        if (tableId >= 0xC7 && tableId <= 0xCF) {
+            scan.tableCounts.set(tableId, (scan.tableCounts.get(tableId) || 0) + 1);
+        }
+
+        const longForm = section.length >= 12 && (section[1] & 0x80);
+        if (longForm) {
+            if (!(section[5] & 0x01)) return; // current_next_indicator: not applicable yet
+            this.trackSection(scan, section, pid);
+        }
+        if (tableId === 0xCC && section.length >= 13) {
+            const etmId = section.readUInt32BE(9);
+            scan.receivedEtms.add(`${etmId >>> 16}:${(etmId >> 2) & 0x3FFF}`);
+        }
+
+        if (tableId === 0xC7) {
+            this.parseATSCMGT(scan, section);
+        } else if (tableId === 0xCD) {
+            this.parseATSCSTT(section);
+        } else if (tableId === 0x42) {
+            this.parseDVBSDT(scan, section);
+        } else if (tableId === 0xC8 || tableId === 0xC9) {
+            const sources = this.parseATSCVCT(section, freq);
+            this.trackVCTSources(scan, section, sources);
+        } else if (tableId === 0x4E || (tableId >= 0x50 && tableId <= 0x5F) || tableId === 0xCB || tableId === 0xCC) {
+            // DVB: only the actual-TS EIT. The other-TS tables (0x4F, 0x60-0x6F) describe services of
+            // other muxes, and their events would be stored under this frequency.
+            // Carousels repeat every section; only parse the ones not yet seen at this version
+            const key = `${freq}:${pid}:${tableId}:${(section[3] << 8) | section[4]}:${section[6]}`;
+            const version = (section[5] >> 1) & 0x1F;
+            if (this.sectionVersions.get(key) === version) {
+                scan.skipped++;
+                return;
+            }
+
+            const id = (section[3] << 8) | section[4];
+            this.parseEITSection(section, id, (eventId, etmLocation, endTime) => {
+                scan.count++;
+                if (endTime > scan.horizon) scan.horizon = endTime;
+                if (tableId !== 0xCB) return;
+                scan.knownEvents.add(`${id}:${eventId}`);
+                // ETM_location 1: the extended text is carried in this mux's ETT-k
+                if (etmLocation === 1) scan.expectedEtms.add(`${id}:${eventId}`);
+            }, freq);
+
+            // ATSC sections are only settled once the data they refer to is known: an EIT needs
+            // its channel from the VCT, an ETT the event it describes. Until then they are re-parsed.
+            let settled = true;
+            if (tableId === 0xCB) {
+                settled = this.sourceMap.has(`${freq}_${id}`);
+            } else if (tableId === 0xCC && section.length >= 13) {
+                const etmId = section.readUInt32BE(9);
+                settled = scan.knownEvents.has(`${etmId >>> 16}:${(etmId >> 2) & 0x3FFF}`);
+            }
+            if (settled) this.sectionVersions.set(key, version);
+        }
+    },
+
+    // Remember which sections of each long-form table have been seen
+    trackSection(scan, section, pid) {
+        const key = `${pid}:${section[0]}:${(section[3] << 8) | section[4]}`;
+        const version = (section[5] >> 1) & 0x1F;
+        let table = scan.tables.get(key);
+        if (!table || table.version !== version) {
+            table = { version, last: section[7], seen: new Set(), segments: new Map() };
+            scan.tables.set(key, table);
+        }
+        table.seen.add(section[6]);
+        // DVB EIT: segments of 8 sections, each ending at segment_last_section_number
+        if (section[0] >= 0x4E && section[0] <= 0x6F && section.length >= 14) {
+            table.segments.set(section[6] >> 3, section[12]);
+            table.lastTableId = section[13];
+        }
+    },
+
+    isTableComplete(scan, key, version) {
+        const table = scan.tables.get(key);
+        if (!table || (version !== undefined && table.version !== version)) return false;
+        if (table.segments.size === 0) return table.seen.size >= table.last + 1;
+
+        for (let segment = 0; segment <= table.last >> 3; segment++) {
+            if (!table.segments.has(segment)) return false;
+            for (let n = segment * 8; n <= table.segments.get(segment); n++) {
+                if (!table.seen.has(n)) return false;
+            }
+        }
+        return true;
+    },
+
+    isScanComplete(scan) {
+        return scan.mgt ? this.isATSCComplete(scan) : this.isDVBComplete(scan);
+    },
+
+    // Complete once the VCT, every EIT-k for every channel and every ETT announced on this mux are in
+    isATSCComplete(scan) {
+        if (!scan.vctSources) return false;
+        for (const [pid, version] of scan.mgt.eitPids) {
+            for (const sourceId of scan.vctSources) {
+                if (!this.isTableComplete(scan, `${pid}:${0xCB}:${sourceId}`, version)) return false;
+            }
+        }
+        if (scan.mgt.ettPids.size > 0) {
+            for (const etm of scan.expectedEtms) {
+                if (!scan.receivedEtms.has(etm)) return false;
+            }
+        }
+        return true;
+    },
+
+    // Complete once every present/following and schedule table of every service in the SDT is in
+    isDVBComplete(scan) {
+        for (const [serviceId, flags] of scan.sdt) {
+            const key = (tableId) => `${0x12}:${tableId}:${serviceId}`;
+            if (flags.presentFollowing && !this.isTableComplete(scan, key(0x4E))) return false;
+            if (flags.schedule) {
+                const first = scan.tables.get(key(0x50));
+                if (!first) return false;
+                for (let tableId = 0x50; tableId <= first.lastTableId; tableId++) {
+                    if (!this.isTableComplete(scan, key(tableId))) return false;
+                }
+            }
+        }
+        return true;
+    },
+
+    // Service Description Table (EN 300 468 5.2.3), actual transport stream only.
+    // Lists the services and whether each carries a present/following and schedule guide.
+    parseDVBSDT(scan, section) {
+        if (scan.mgt || scan.sdt || section.length < 15) return;
+        const end = (((section[1] & 0x0F) << 8) | section[2]) + 3 - 4;
+        const services = scan.sdtServices;
+        let offset = 11;
+        while (offset + 5 <= end) {
+            const serviceId = section.readUInt16BE(offset);
+            const schedule = (section[offset + 2] & 0x02) !== 0;
+            const presentFollowing = (section[offset + 2] & 0x01) !== 0;
+            if (schedule || presentFollowing) services.set(serviceId, { schedule, presentFollowing });
+            offset += 5 + (section.readUInt16BE(offset + 3) & 0x0FFF);
+        }
+        // The service list is final once every section of the SDT is in
+        if (this.isTableComplete(scan, `${0x11}:${0x42}:${(section[3] << 8) | section[4]}`)) {
+            debugLog(`[DVB SDT] ${scan.freq}: ${services.size} services with a guide`);
+            scan.sdt = services;
+            scan.pids = new Set([0x11, 0x12, 0x14]);
+        }
+    },
+
+    // A VCT may span sections; the channel list is only final once all of them are in
+    trackVCTSources(scan, section, sources) {
+        const key = `${0x1FFB}:${section[0]}:${(section[3] << 8) | section[4]}`;
+        const table = scan.tables.get(key);
+        if (!table) return;
+        if (!table.sources || table.sourcesVersion !== table.version) {
+            table.sources = new Map();
+            table.sourcesVersion = table.version;
+        }
+        table.sources.set(section[6], sources);
+        if (this.isTableComplete(scan, key)) {
+            scan.vctSources = new Set([].concat(...table.sources.values()));
+        }
+    },
+
+    // Master Guide Table (A/65 6.2): lists every PSIP table on the mux with its PID and version
+    parseATSCMGT(scan, section) {
+        try {
+            const sectionLength = ((section[1] & 0x0F) << 8) | section[2];
+            const end = sectionLength + 3 - 4;
+            const version = (section[5] >> 1) & 0x1F;
+            if (scan.mgt && scan.mgt.version === version) return;
+
+            const tablesDefined = section.readUInt16BE(9);
+            const eitPids = new Map();
+            const ettPids = new Map();
+            let offset = 11;
+            for (let i = 0; i < tablesDefined && offset + 11 <= end; i++) {
+                const tableType = section.readUInt16BE(offset);
+                const pid = section.readUInt16BE(offset + 2) & 0x1FFF;
+                const tableVersion = section[offset + 4] & 0x1F;
+                const descriptorsLength = section.readUInt16BE(offset + 9) & 0x0FFF;
+
+                if (tableType >= 0x0100 && tableType <= 0x017F) eitPids.set(pid, tableVersion); // EIT-0..127
+                else if (tableType >= 0x0200 && tableType <= 0x027F) ettPids.set(pid, tableVersion); // Event ETT-0..127
+
+                offset += 11 + descriptorsLength;
+            }
+
+            scan.mgt = { version, eitPids, ettPids };
+            scan.pids = new Set([0x1FFB, ...eitPids.keys(), ...ettPids.keys()]);
+            debugLog(`[ATSC MGT] ${scan.freq}: version ${version}, EIT PIDs ${Array.from(eitPids.keys()).join(', ')}, ETT PIDs ${Array.from(ettPids.keys()).join(', ')}`);
+        } catch (e) {
+            console.error('[ATSC MGT] Error:', e);
+        }
+    },
+
+    // System Time Table (A/65 6.1): GPS time, the current GPS-UTC leap second offset and DST
+    parseATSCSTT(section) {
+        if (section.length < 17) return;
+        const systemTime = section.readUInt32BE(9);
+        const gpsUtcOffset = section[13];
+        const daylightSaving = section.readUInt16BE(14);
+
+        if (gpsUtcOffset !== this.gpsUtcOffset) {
+            console.log(`[ATSC STT] GPS-UTC offset is ${gpsUtcOffset}s`);
+            this.gpsUtcOffset = gpsUtcOffset;
+        }
+        this.systemTime = {
+            time: (systemTime + 315964800 - gpsUtcOffset) * 1000,
+            gpsUtcOffset,
+            daylightSaving: {
+                inEffect: (daylightSaving & 0x8000) !== 0,
+                dayOfMonth: (daylightSaving >> 8) & 0x1F, // Day the next transition happens, 0 if none pending
+                hour: daylightSaving & 0xFF
+            },
+            receivedAt: Date.now()
+        };
+        debugLog(`[ATSC STT] Broadcast clock is ${Math.round((this.systemTime.time - Date.now()) / 1000)}s off local time`);
+    },
+
+    // GPS seconds (since 1980-01-06) to Unix milliseconds, using the broadcast leap second count
+    gpsToUnix(gpsSeconds) {
+        return (gpsSeconds + 315964800 - this.gpsUtcOffset) * 1000;
+    },
+
+    parseEITSection(section, id, onFound, freq) {
+        const tableId = section[0];
+        const sectionLength = ((section[1] & 0x0F) << 8) | section[2];
+        if (section.length < sectionLength + 3) return;
+
+        const mapKey = `${freq}_${id}`;
+
+        if (tableId === 0xCB) {
+            // EIT (Event Information Table)
+            let serviceId = this.sourceMap.get(mapKey) || id.toString();
+            this.parseATSCEIT(section, serviceId, onFound, id, freq);
+        } else if (tableId === 0xCC) {
+            // ETT (Extended Text Table). The source is in the ETM_id, not the table extension.
+            if (section.length < 13) return;
+            const sourceId = section.readUInt32BE(9) >>> 16;
+            const serviceId = this.sourceMap.get(`${freq}_${sourceId}`) || sourceId.toString();
+            this.parseATSCEET(section, sourceId, serviceId, freq);
+        } else if (tableId === 0x4E || (tableId >= 0x50 && tableId <= 0x5F)) {
+            this.parseDVBEIT(section, id, onFound, freq);
+        }
+    },
+
+    // Returns the source ids of the channels in this section that carry a guide
+    parseATSCVCT(section, freq) {
+        const sources = [];
+        try {
+            const sectionLength = ((section[1] & 0x0F) << 8) | section[2];
+            const numChannels = section[9];
+            let offset = 10;
+
+            for (let i = 0; i < numChannels; i++) {
+                if (offset + 32 > sectionLength + 3) break;
+
+                const programNumber = (section[offset + 24] << 8) | section[offset + 25];
+                const sourceId = (section[offset + 28] << 8) | section[offset + 29];
+                // Hidden channels only appear in the guide when hide_guide is clear
+                const hidden = (section[offset + 26] & 0x10) !== 0;
+                const hideGuide = (section[offset + 26] & 0x02) !== 0;
+
+                if (sourceId && !(hidden && hideGuide)) sources.push(sourceId);
+
+                if (sourceId) {
+                    const mapKey = `${freq}_${sourceId}`;
+                    // ATSC A/65 Table 6.7: 10-bit major, 10-bit minor
+                    // Byte 14: reserved(4), major(4 high)
+                    // Byte 15: major(6 low), minor(2 high)
+                    // Byte 16: minor(8 low)
+                    const major = ((section[offset + 14] & 0x0F) << 6) | (section[offset + 15] >> 2);
+                    const minor = ((section[offset + 15] & 0x03) << 8) | section[offset + 16];
+                    const virtualChannel = `${major}.${minor}`;
+
+                    // Match logic:
+                    // 1. High Precision: Match by Frequency AND Virtual Channel Number (Most reliable)
+                    let channel = CHANNELS.find(c => c.frequency == freq && c.number === virtualChannel);
+
+                    // 2. Fallback: Match by Frequency AND ServiceID (Program Number)
+                    if (!channel) {
+                        channel = CHANNELS.find(c => c.frequency == freq && c.serviceId == programNumber.toString());
+                    }
+
+                    // 3. Last Resort: Global Virtual Channel match (for redundancy)
+                    if (!channel) {
+                        channel = CHANNELS.find(c => c.number === virtualChannel);
+                    }
+
+                    if (channel) {
+                        if (this.sourceMap.get(mapKey) !== channel.number) {
+                            debugLog(`[ATSC VCT] Map: ${freq} Source ${sourceId} -> ${channel.name} (${channel.number})`);
+                            this.sourceMap.set(mapKey, channel.number);
+                        }
+                    } else {
+                        if (!this.sourceMap.has(mapKey)) {
+                            debugLog(`[ATSC VCT] Unconfigured: ${freq} Source ${sourceId} -> ${virtualChannel}`);
+                            this.sourceMap.set(mapKey, virtualChannel);
+                        }
+                    }
+                }
+                const descriptorsLength = ((section[offset + 30] & 0x03) << 8) | section[offset + 31];
+                offset += 32 + descriptorsLength;
+            }
+        } catch (e) {
+            console.error('[ATSC VCT] Error:', e);
+        }
+        return sources;
+    },
+
+    parseATSCEIT(section, virtualChannel, onFound, sourceId, freq) {
+        try {
+            const sectionLength = ((section[1] & 0x0F) << 8) | section[2];
+            // ATSC EIT header is 10 bytes (table_id to num_events_in_section)
+            // section[0] table_id
+            // section[1-2] section_length
+            // section[3-4] source_id
+            // section[5] version_number, current_next_indicator
+            // section[6] section_number
+            // section[7] last_section_number
+            // section[8] protocol_version
+            // section[9] num_events_in_section
+            const numEvents = section[9];
+            // console.log(`[ATSC DEBUG] Header: SourceID=${sourceId}, NumEvents=${numEvents}, Len=${sectionLength}`);
+            let offset = 10; // Start of event loop
+
+            if (numEvents > 0) {
+                // console.log(`[ATSC EIT] Parsing ${numEvents} events for SourceID ${sourceId} (Table 0x${section[0].toString(16)})`);
+            }
+
+            for (let i = 0; i < numEvents; i++) {
+                // Check if enough bytes remain for event_id, start_time, duration, title_length
+                if (offset + 10 > sectionLength + 3) {
+                    debugLog(`[ATSC DEBUG] Offset overflow at event ${i}: ${offset} > ${sectionLength}`);
+                    break;
+                }
+
+                const eventId = ((section[offset] & 0x3F) << 8) | section[offset + 1];
+                const startTimeGPS = section.readUInt32BE(offset + 2);
+                const etmLocation = (section[offset + 6] >> 4) & 0x03;
+                const duration = ((section[offset + 6] & 0x0F) << 16) | (section[offset + 7] << 8) | section[offset + 8];
+                const titleLength = section[offset + 9];
+
+                // console.log(`[ATSC DEBUG] Evt ${eventId}: Start=${startTimeGPS} Dur=${duration} TitleLen=${titleLength}`);
+
+                // GPS Epoch 1980-01-06 00:00:00 UTC, less the leap seconds announced in the STT
+                const startTime = this.gpsToUnix(startTimeGPS);
+                const endTime = startTime + duration * 1000;
+
+                let title = '';
+                let currentEventOffset = offset + 10;
+
+                // Parse title (Multi-String Structure, one string per language)
+                let titles = [];
+                if (titleLength > 0 && currentEventOffset + titleLength <= section.length) {
+                    titles = MSS.decode(section.slice(currentEventOffset, currentEventOffset + titleLength));
+                    if (titles.length) {
+                        title = titles[0].text;
+                        debugLog(`[ATSC DEBUG] Decoded Title: "${title}" (${titles.map(t => t.lang).join(', ')})`);
+                    }
+                }
+
+                currentEventOffset += titleLength;
+
+                // Descriptors: genre, content advisory, captions, AC-3 audio
+                let descriptorsStart = 0;
+                let descriptorsEnd = 0;
+                if (currentEventOffset + 2 <= section.length - 4) {
+                    const descriptorsLength = ((section[currentEventOffset] & 0x0F) << 8) | section[currentEventOffset + 1];
+                    currentEventOffset += 2;
+                    if (currentEventOffset + descriptorsLength <= section.length - 4) {
+                        descriptorsStart = currentEventOffset;
+                        descriptorsEnd = currentEventOffset + descriptorsLength;
+                        currentEventOffset += descriptorsLength;
+                    } else {
+                        // Descriptors overflow
+                        currentEventOffset = section.length - 4;
+                    }
+                } else {
+                    // No room for desc length (often just padding before CRC)
+                    currentEventOffset = section.length - 4;
+                }
+                const info = EVENT_DESCRIPTORS.parse(section, descriptorsStart, descriptorsEnd, 'atsc');
+
+                if (title && startTime > 0) {
+                    onFound(eventId, etmLocation, endTime);
+                    // The description arrives separately in the ETT
+                    EPG_STORE.addProgram({
+                        frequency: freq, channel: virtualChannel, start: startTime, end: endTime, eventId, sourceId,
+                        titles, descriptions: null, subtitles: [], info
+                    });
+                } else {
+                    debugLog(`[ATSC DEBUG] Skipped: Title="${title}" Start=${startTime}`);
+                }
+
+                offset = currentEventOffset; // Move to the start of the next event
+            }
+        } catch (e) {
+            console.error('[ATSC DEBUG] Error parsing EIT:', e);
+        }
+    },
+
+    parseATSCEET(section, sourceId, virtualChannel, freq) {
+        try {
+            const sectionLength = ((section[1] & 0x0F) << 8) | section[2];
+            if (section.length < 13) return;
+
+            const etmId = section.readUInt32BE(9);
+            const eventId = (etmId >> 2) & 0x3FFF;
+
+            // MSS starts at offset 13
+            const descriptions = MSS.decode(section.slice(13, sectionLength + 3 - 4));
+
+            if (descriptions.length) {
+                debugLog(`[ATSC ETT] Decoded Desc for Chan ${virtualChannel} Event ${eventId} (${descriptions.map(d => d.lang).join(', ')})`);
+                EPG_STORE.addText({ frequency: freq, channel: virtualChannel, eventId, descriptions });
+            }
+        } catch (e) {
+            console.error('[ATSC ETT] Error:', e);
+        }
+    },
+    parseDVBEIT(section, serviceId, onFound, freq) {
+        try {
+            const sectionLength = ((section[1] & 0x0F) << 8) | section[2];
+            let evOffset = 14;
+
+            while (evOffset < sectionLength - 1) {
+                if (evOffset + 12 > section.length) break;
+
+                const eventId = (section[evOffset] << 8) | section[evOffset + 1];
+                const startTimeMJD = (section[evOffset + 2] << 8) | section[evOffset + 3];
+                const startTimeBCD = (section[evOffset + 4] << 16) | (section[evOffset + 5] << 8) | section[evOffset + 6];
+                const durationBCD = (section[evOffset + 7] << 16) | (section[evOffset + 8] << 8) | section[evOffset + 9];
+                const descriptorsLength = ((section[evOffset + 10] & 0x0F) << 8) | section[evOffset + 11];
+
+                if (evOffset + 12 + descriptorsLength > section.length) break;
+
+                const startTime = this.parseDVBTime(startTimeMJD, startTimeBCD);
+                const durationSec = (((durationBCD >> 16) & 0x0F) * 3600) + (((durationBCD >> 20) & 0x0F) * 36000) +
+                    (((durationBCD >> 8) & 0x0F) * 60) + (((durationBCD >> 12) & 0x0F) * 600) +
+                    ((durationBCD & 0x0F)) + (((durationBCD >> 4) & 0x0F) * 10);
+
+                const endTime = startTime + durationSec * 1000;
+
+                const text = this.parseDVBEventText(section, evOffset + 12, evOffset + 12 + descriptorsLength);
+                const info = EVENT_DESCRIPTORS.parse(section, evOffset + 12, evOffset + 12 + descriptorsLength, 'dvb');
+                const title = text.titles.length ? text.titles[0].text : '';
+
+                if (title && startTime > 0) {
+                    onFound(eventId, 0, endTime);
+                    // console.log(`[DVB EPG] Parsed: "${title}" for Service ID: ${serviceId}`);
+                    EPG_STORE.addProgram({
+                        frequency: freq, channel: serviceId.toString(), start: startTime, end: endTime, eventId, sourceId: null,
+                        titles: text.titles, descriptions: text.descriptions, subtitles: text.subtitles, info
+                    });
+                }
+
+                evOffset += 12 + descriptorsLength;
+            }
+        } catch (e) {
+            console.error('[DVB EPG] Error:', e);
+        }
+    },
+
+    // Collect the short (0x4D) and extended (0x4E) event descriptors of one event, per language.
+    // The extended text becomes the description and the short text the sub-title; without an
+    // extended text the short text is the description.
+    parseDVBEventText(section, start, end) {
+        const shortEvents = [];
+        const extended = new Map(); // lang -> { parts: [], items: [] }
+
+        let offset = start;
+        while (offset + 2 <= end) {
+            const tag = section[offset];
+            const len = section[offset + 1];
+            const body = offset + 2;
+            if (body + len > end) break;
+
+            if (tag === 0x4D && len >= 5) { // Short Event Descriptor
+                const lang = section.toString('latin1', body, body + 3);
+                const nameLen = section[body + 3];
+                const name = DVB_TEXT.decode(section.slice(body + 4, body + 4 + nameLen)).replace(/\s*\n\s*/g, ' ');
+                const textLen = section[body + 4 + nameLen] || 0;
+                const textStart = body + 5 + nameLen;
+                const text = DVB_TEXT.decode(section.slice(textStart, Math.min(textStart + textLen, body + len)));
+                if (name) shortEvents.push({ lang, name, text });
+            } else if (tag === 0x4E && len >= 6) { // Extended Event Descriptor
+                const number = section[body] >> 4;
+                const lang = section.toString('latin1', body + 1, body + 4);
+                const itemsLen = section[body + 4];
+                if (!extended.has(lang)) extended.set(lang, { parts: [], items: [] });
+                const entry = extended.get(lang);
+
+                // Items are (description, text) pairs such as ("Director", "...")
+                let itemOffset = body + 5;
+                const itemsEnd = Math.min(itemOffset + itemsLen, body + len);
+                while (itemOffset < itemsEnd) {
+                    const descLen = section[itemOffset];
+                    const itemDesc = section.slice(itemOffset + 1, itemOffset + 1 + descLen);
+                    const itemLen = section[itemOffset + 1 + descLen];
+                    const itemText = section.slice(itemOffset + 2 + descLen, itemOffset + 2 + descLen + itemLen);
+                    entry.items.push({ name: DVB_TEXT.decode(itemDesc), value: DVB_TEXT.decode(itemText) });
+                    itemOffset += 2 + descLen + itemLen;
+                }
+
+                const textLenOffset = body + 5 + itemsLen;
+                if (textLenOffset < body + len) {
+                    const textLen = section[textLenOffset];
+                    entry.parts[number] = section.slice(textLenOffset + 1, Math.min(textLenOffset + 1 + textLen, body + len));
+                }
+            }
+            offset = body + len;
+        }
+
+        const titles = [];
+        const subtitles = [];
+        const descriptions = [];
+        const langs = new Set([...shortEvents.map(s => s.lang), ...extended.keys()]);
+
+        langs.forEach(lang => {
+            const short = shortEvents.find(s => s.lang === lang);
+            const ext = extended.get(lang);
+            let extText = '';
+            if (ext) {
+                extText = DVB_TEXT.decode(DVB_TEXT.join(ext.parts.filter(Boolean)));
+                const items = ext.items.filter(i => i.name && i.value).map(i => `${i.name}: ${i.value}`);
+                if (items.length) extText = [extText, ...items].filter(Boolean).join('\n');
+            }
+
+            if (short) titles.push({ lang, text: short.name });
+            if (extText) {
+                descriptions.push({ lang, text: extText });
+                if (short && short.text && !extText.startsWith(short.text)) subtitles.push({ lang, text: short.text });
+            } else if (short && short.text) {
+                descriptions.push({ lang, text: short.text });
+            }
+        });
+
+        return { titles, subtitles, descriptions };
+    }
+};
+
+// EPG Scheduler
+// Tracks how fresh each mux's guide is and how far ahead it reaches. Whenever a tuner is idle, the
+// stalest mux that is due gets scanned, one at a time. Muxes that fail to lock back off, and a scan
+// pauses as soon as a stream needs its tuner; sections already parsed are kept, so the next scan
+// only waits for what is still missing.
+const EPG_SCHEDULER = {
+    muxes: new Map(), // frequency -> { frequency, channel, refreshedAt, horizon, failures, retryAt, lastAttempt, lastResult }
+    current: null, // { mux, tuner, startedAt, paused }
+    holdUntil: 0, // No new scan before this time after a pause, so the waiting stream gets the tuner
+    storedHorizons: new Map(), // frequency -> last program end already in epg.db at startup
+    startedAt: Date.now(),
+    backoffBase: 5 * 60 * 1000,
+    backoffMax: 6 * 60 * 60 * 1000,
+    pauseHold: 30 * 1000,
+
+    start() {
+        if (!dbExists) {
+            console.log('[EPG] epg.db not found. Every mux will be scanned as soon as a tuner is free.');
+            setInterval(() => this.tick(), 10 * 1000);
+            return;
+        }
+        db.all(`SELECT frequency, MAX(end_time) AS horizon FROM programs GROUP BY frequency`, (err, rows) => {
+            if (err) console.error('[EPG] Could not read the stored guide horizon:', err);
+            (rows || []).forEach(r => this.storedHorizons.set(String(r.frequency), r.horizon));
+            console.log(`[EPG] epg.db found with a guide for ${this.storedHorizons.size} mux(es); refreshing them as they come due.`);
+            setInterval(() => this.tick(), 10 * 1000);
+        });
+    },
+
+    // Follow the lineup: new frequencies start unscanned, removed ones are forgotten
+    sync() {
+        const seen = new Set();
+        CHANNELS.forEach(c => {
+            if (!c.frequency || seen.has(c.frequency)) return;
+            seen.add(c.frequency);
+            const mux = this.muxes.get(c.frequency);
+            if (mux) {
+                mux.channel = c.number;
+                return;
+            }
+            const stored = this.storedHorizons.get(c.frequency) || null;
+            this.muxes.set(c.frequency, {
+                frequency: c.frequency,
+                channel: c.number,
+                // A guide left in the database counts as fresh as of startup
+                refreshedAt: stored ? this.startedAt : null,
+                horizon: stored,
+                failures: 0,
+                retryAt: null,
+                lastAttempt: null,
+                lastResult: null
+            });
+        });
+        for (const freq of this.muxes.keys()) {
+            if (!seen.has(freq)) this.muxes.delete(freq);
+        }
+    },
+
+    // Scans and passive harvests both refresh a mux
+    freshness(mux) {
+        const harvest = EPG.lastHarvest.get(mux.frequency);
+        return {
+            refreshedAt: Math.max(mux.refreshedAt || 0, harvest ? harvest.time : 0) || null,
+            horizon: Math.max(mux.horizon || 0, harvest ? harvest.horizon : 0) || null
+        };
+    },
+
+    nextScan(mux) {
+        if (mux.failures) return mux.retryAt;
+        const { refreshedAt, horizon } = this.freshness(mux);
+        if (!refreshedAt) return this.startedAt;
+        let next = refreshedAt + EPG_REFRESH_INTERVAL * 1000;
+        // Come back early when the guide is about to run out, but not more than 4 times per interval
+        if (horizon && horizon - EPG_MIN_HORIZON * 1000 < next) {
+            next = Math.max(horizon - EPG_MIN_HORIZON * 1000, refreshedAt + EPG_REFRESH_INTERVAL * 250);
+        }
+        return next;
+    },
+
+    // A mux tuned for viewers is harvested instead
+    isLive(freq) {
+        return PASSIVE_EPG && TUNERS.some(t => t.mux && !t.mux.stopping && t.mux.frequency === freq);
+    },
+
+    tick() {
+        if (this.current || Date.now() < this.holdUntil || TUNER_ARBITER.queue.length) return;
+        const tuner = TUNERS.find(t => !t.inUse && !t.cleaningUp && !t.reservedBy);
+        if (!tuner) return;
+
+        this.sync();
+        const now = Date.now();
+        const due = Array.from(this.muxes.values())
+            .filter(mux => this.nextScan(mux) <= now && !this.isLive(mux.frequency))
+            .sort((a, b) => (this.freshness(a).refreshedAt || 0) - (this.freshness(b).refreshedAt || 0));
+        if (due.length) this.scan(due[0], tuner);
+    },
+
+    async scan(mux, tuner) {
+        tuner.inUse = true;
+        tuner.epgScanning = true;
+        tuner.signal = null;
+        const current = { mux, tuner, startedAt: Date.now(), paused: false };
+        this.current = current;
+        mux.lastAttempt = current.startedAt;
+
+        console.log(`[EPG] Scanning mux at ${mux.frequency} Hz using ${mux.channel} on Tuner ${tuner.id}...`);
+
+        let result = null;
+        try {
+            result = await EPG.scanMux(tuner, mux.channel, mux.frequency, EPG_SCAN_TIMEOUT * 1000);
+        } catch (e) {
+            console.error(`[EPG] Error scanning mux at ${mux.frequency}:`, e);
+        }
+
+        tuner.inUse = false;
+        tuner.epgScanning = false;
+        this.current = null;
+        this.record(mux, result, current);
+        TUNER_ARBITER.dispatch();
+    },
+
+    record(mux, result, current) {
+        const now = Date.now();
+        let status = 'error';
+        if (current.paused) status = 'paused';
+        else if (result && !result.locked) status = 'no-lock';
+        else if (result) status = result.complete ? 'complete' : 'partial';
+
+        mux.lastResult = {
+            status,
+            programs: result ? result.programs : 0,
+            startedAt: current.startedAt,
+            duration: (now - current.startedAt) / 1000
+        };
+
+        if (status === 'complete' || status === 'partial') {
+            mux.failures = 0;
+            mux.retryAt = null;
+            mux.refreshedAt = now;
+            if (result.horizon > (mux.horizon || 0)) mux.horizon = result.horizon;
+        } else if (status !== 'paused') {
+            // Paused scans are no fault of the mux; everything else waits longer each time
+            mux.failures++;
+            mux.retryAt = now + Math.min(this.backoffBase * 2 ** (mux.failures - 1), this.backoffMax);
+            console.warn(`[EPG] Scan of ${mux.frequency} Hz failed (${status}, ${mux.failures} in a row). Retrying at ${new Date(mux.retryAt).toISOString()}.`);
+        }
+
+        METRICS.inc('epg_scans_total', { frequency: mux.frequency });
+        METRICS.set('epg_scan_duration_seconds', { frequency: mux.frequency }, mux.lastResult.duration);
+        METRICS.set('epg_scan_failures', { frequency: mux.frequency }, mux.failures);
+        if (result) METRICS.set('epg_programs', { frequency: mux.frequency }, result.programs);
+    },
+
+    // A stream needs the scanning tuner: stop the scan and return the tuner it will release
+    pause() {
+        const current = this.current;
+        if (!current || current.paused) return null;
+        current.paused = true;
+        this.holdUntil = Date.now() + this.pauseHold;
+        console.log(`[EPG] Pausing scan of ${current.mux.frequency} Hz to free Tuner ${current.tuner.id}.`);
+        const handle = current.tuner.processes && current.tuner.processes.tuner;
+        if (handle) handle.stop();
+        return current.tuner;
+    },
+
+    toJSON() {
+        this.sync();
+        return {
+            scanning: this.current ? { frequency: this.current.mux.frequency, tuner: this.current.tuner.id, startedAt: this.current.startedAt } : null,
+            pausedUntil: this.holdUntil > Date.now() ? this.holdUntil : null,
+            muxes: Array.from(this.muxes.values()).map(mux => {
+                const { refreshedAt, horizon } = this.freshness(mux);
+                const harvest = EPG.lastHarvest.get(mux.frequency);
+                return {
+                    frequency: mux.frequency,
+                    channel: mux.channel,
+                    refreshedAt,
+                    horizon,
+                    lastHarvest: harvest ? harvest.time : null,
+                    live: this.isLive(mux.frequency),
+                    failures: mux.failures,
+                    nextScan: this.nextScan(mux),
+                    lastResult: mux.lastResult
+                };
+            })
+        };
+    }
+};
+
+dbReady.then(() => {
+    EPG_STORE.purge();
+    setInterval(() => EPG_STORE.purge(), 60 * 60 * 1000);
+    EPG_SCHEDULER.start();
+});
+
+// External XMLTV Import
+// Over-the-air guides only reach a day or three ahead and carry no episode numbers. Files from
+// another grabber (XMLTV_SOURCES: files or directories of .xml / .xml.gz) are imported on a
+// schedule and merged with the broadcast guide when it is served.
+const XMLTV_IMPORT = {
+    imported: new Map(), // file -> { mtime, programs, skipped, importedAt }
+    running: null,
+    slotTolerance: 5 * 60 * 1000, // Start and end this close count as the same slot
+
+    sources() {
+        const files = [];
+        XMLTV_SOURCES.forEach(source => {
+            try {
+                if (fs.statSync(source).isDirectory()) {
+                    fs.readdirSync(source).filter(f => /\.xml(\.gz)?$/i.test(f)).sort()
+                        .forEach(f => files.push(path.join(source, f)));
+                } else {
+                    files.push(source);
+                }
+            } catch (e) {
+                console.warn(`[XMLTV] Source ${source} is not readable: ${e.message}`);
+            }
+        });
+        return files;
+    },
+
+    // Optional JSON file { "<xmltv channel id>": "<channel number>" }
+    loadChannelMap() {
+        if (!XMLTV_CHANNEL_MAP) return {};
+        try {
+            return JSON.parse(fs.readFileSync(XMLTV_CHANNEL_MAP, 'utf8'));
+        } catch (e) {
+            console.error(`[XMLTV] Could not read channel map ${XMLTV_CHANNEL_MAP}:`, e.message);
+            return {};
+        }
+    },
+
+    // Explicit map first, then an id or display name equal to a channel number or name
+    // ("15.1", "WANE-HD" or "15.1 WANE-HD")
+    mapChannel(id, displayNames, channelMap) {
+        if (channelMap[id]) return CHANNELS.find(c => c.number === String(channelMap[id])) || null;
+        const candidates = [id, ...displayNames].map(n => n.trim().toLowerCase());
+        return CHANNELS.find(c => {
+            const names = [c.number, c.name, `${c.number} ${c.name}`].map(n => n.toLowerCase());
+            return candidates.some(n => names.includes(n));
+        }) || null;
+    },
+
+    run() {
+        if (!XMLTV_SOURCES.length || this.running) return this.running;
+        this.running = EPG_STORE.exclusive(async () => {
+            const channelMap = this.loadChannelMap();
+            for (const file of this.sources()) {
+                try {
+                    const mtime = fs.statSync(file).mtimeMs;
+                    const previous = this.imported.get(file);
+                    if (previous && previous.mtime === mtime) continue;
+                    const result = await this.importFile(file, channelMap);
+                    this.imported.set(file, Object.assign({ mtime, importedAt: Date.now() }, result));
+                    console.log(`[XMLTV] Imported ${result.programs} programs from ${file}` +
+                        (result.unmapped.length ? ` (unmapped channels: ${result.unmapped.join(', ')})` : ''));
+                } catch (e) {
+                    console.error(`[XMLTV] Could not import ${file}:`, e.message);
+                }
+            }
+        }).finally(() => { this.running = null; });
+        return this.running;
+    },
+
+    // Replaces everything previously imported from the file, in one transaction
+    async importFile(file, channelMap) {
+        let stream = fs.createReadStream(file);
+        if (/\.gz$/i.test(file)) stream = stream.pipe(zlib.createGunzip());
+        stream.setEncoding('utf8');
+
+        const channels = new Map(); // xmltv id -> our channel (or null)
+        const unmapped = new Set();
+        let programs = 0;
+        const insert = db.prepare(`INSERT OR REPLACE INTO external_programs (source, channel, start_time, end_time, title, subtitle, description,
+                titles, subtitles, descriptions, categories, ratings, episode_num, episode_onscreen, icon)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`);
+
+        try {
+            await dbTransaction(async () => {
+                await dbRun('DELETE FROM external_programs WHERE source = ?', [file]);
+                let buffer = '';
+                for await (const chunk of stream) {
+                    buffer += chunk;
+                    // Only complete <channel> and <programme> elements are taken; the rest waits for more data
+                    const element = /<(channel|programme)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g;
+                    let match;
+                    let consumed = 0;
+                    while ((match = element.exec(buffer))) {
+                        consumed = element.lastIndex;
+                        const attrs = this.attributes(match[2]);
+                        if (match[1] === 'channel') {
+                            const names = this.elements(match[3] || '', 'display-name').map(e => e.text);
+                            channels.set(attrs.id, this.mapChannel(attrs.id || '', names, channelMap));
+                            continue;
+                        }
+                        if (!channels.has(attrs.channel)) channels.set(attrs.channel, this.mapChannel(attrs.channel || '', [], channelMap));
+                        const channel = channels.get(attrs.channel);
+                        if (!channel) {
+                            unmapped.add(attrs.channel);
+                            continue;
+                        }
+                        const p = this.parseProgramme(attrs, match[3] || '');
+                        if (!p) continue;
+                        await stmtRun(insert, [file, channel.number, p.start, p.end, p.title, p.subtitle, p.description,
+                            JSON.stringify(p.titles), JSON.stringify(p.subtitles), JSON.stringify(p.descriptions),
+                            JSON.stringify(p.categories), JSON.stringify(p.ratings), p.episodeNum, p.episodeOnscreen, p.icon]);
+                        programs++;
+                    }
+                    buffer = buffer.slice(consumed);
+                }
+            });
+            EPG_STORE.lastWrite = Date.now();
+        } finally {
+            insert.finalize();
+        }
+        return { programs, unmapped: Array.from(unmapped) };
+    },
+
+    parseProgramme(attrs, body) {
+        const start = this.parseDate(attrs.start);
+        const end = this.parseDate(attrs.stop);
+        if (isNaN(start) || isNaN(end) || end <= start) return null;
+
+        const strings = (name) => this.elements(body, name).map(e => ({ lang: e.attrs.lang || null, text: e.text })).filter(s => s.text);
+        const titles = strings('title');
+        if (!titles.length) return null;
+        const subtitles = strings('sub-title');
+        const descriptions = strings('desc');
+        const episodes = this.elements(body, 'episode-num');
+        const episode = (system) => (episodes.find(e => (e.attrs.system || 'onscreen') === system) || {}).text || null;
+        const icon = /<icon\b([^>]*)>/.exec(body);
+
+        return {
+            start, end, titles, subtitles, descriptions,
+            title: titles[0].text,
+            subtitle: subtitles.length ? subtitles[0].text : null,
+            description: descriptions.length ? descriptions[0].text : null,
+            categories: this.elements(body, 'category').map(e => e.text).filter(Boolean),
+            ratings: this.elements(body, 'rating').map(e => ({
+                system: e.attrs.system || '',
+                value: (this.elements(e.inner, 'value')[0] || {}).text
+            })).filter(r => r.value),
+            episodeNum: episode('xmltv_ns'),
+            episodeOnscreen: episode('onscreen'),
+            icon: icon ? this.attributes(icon[1]).src || null : null
+        };
+    },
+
+    // Direct children named `name`: [{ attrs, text, inner }]
+    elements(xml, name) {
+        const result = [];
+        const re = new RegExp(`<${name}\\b([^>]*?)(?:\\/>|>([\\s\\S]*?)<\\/${name}>)`, 'g');
+        let match;
+        while ((match = re.exec(xml))) {
+            const inner = match[2] || '';
+            result.push({ attrs: this.attributes(match[1]), inner, text: this.decodeText(inner.replace(/<[^>]*>/g, '')).trim() });
+        }
+        return result;
+    },
+
+    attributes(text) {
+        const attrs = {};
+        const re = /([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+        let match;
+        while ((match = re.exec(text))) attrs[match[1]] = this.decodeText(match[3] !== undefined ? match[3] : match[4]);
+        return attrs;
+    },
+
+    decodeText(text) {
+        return text
+            .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+            .replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (entity, code) => {
+                const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+                if (named[code.toLowerCase()]) return named[code.toLowerCase()];
+                const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                return n > 0 && n <= 0x10FFFF ? String.fromCodePoint(n) : entity;
+            });
+    },
+
+    // "20260104200000 +0100"; the offset defaults to UTC and the time to midnight
+    parseDate(value) {
+        const match = /^(\d{4})(\d{2})(\d{2})(\d{2})?(\d{2})?(\d{2})?\s*([+-]\d{2}:?\d{2})?/.exec(value || '');
+        if (!match) return NaN;
+        const [, Y, M, D, h = '0', m = '0', s = '0', tz] = match;
+        let time = Date.UTC(+Y, +M - 1, +D, +h, +m, +s);
+        if (tz) {
+            const digits = tz.replace(':', '');
+            const offset = (parseInt(digits.slice(1, 3), 10) * 60 + parseInt(digits.slice(3, 5), 10)) * 60000;
+            time -= digits[0] === '-' ? -offset : offset;
+        }
+        return time;
+    },
+
+    // Order of precedence between imported files: the order of XMLTV_SOURCES, then file name
+    // within a directory. Negative when file a takes precedence over file b.
+    compareSources(a, b) {
+        const rank = (file) => {
+            const i = XMLTV_SOURCES.findIndex(s => path.resolve(s) === path.resolve(file) || path.resolve(s) === path.resolve(path.dirname(file)));
+            return i < 0 ? XMLTV_SOURCES.length : i;
+        };
+        return rank(a) - rank(b) || (a < b ? -1 : a > b ? 1 : 0);
+    },
+
+    // Broadcast and imported programs of one channel, both sorted by start_time. The broadcast
+    // guide decides the timing wherever it has data: imported programs that overlap it are
+    // dropped, and only fill the gaps and the days beyond it. An imported program in the same
+    // slot (same title, or the same start and end) adds what the broadcast lacks: episode
+    // numbers, an icon, and a sub-title, description, categories or ratings if missing. Of
+    // several such programs the one overlapping the broadcast the most is used. Between imported
+    // files, the one with precedence (compareSources) wins ties and keeps the gaps it fills.
+    merge(ota, external) {
+        const normalize = (title) => (title || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+        const overlap = (a, b) => Math.min(a.end_time, b.end_time) - Math.max(a.start_time, b.start_time);
+        const ranked = external.slice().sort((a, b) => this.compareSources(a.source, b.source) || a.start_time - b.start_time);
+        const merged = ota.map(p => {
+            let match = null;
+            ranked.forEach(e => {
+                if (overlap(e, p) <= 0) return;
+                if (normalize(e.title) !== normalize(p.title) &&
+                    (Math.abs(e.start_time - p.start_time) > this.slotTolerance || Math.abs(e.end_time - p.end_time) > this.slotTolerance)) return;
+                if (!match || overlap(e, p) > overlap(match, p)) match = e;
+            });
+            if (!match) return p;
+            const empty = (json) => !parseJsonColumn(json).length;
+            return Object.assign({}, p, {
+                episode_num: match.episode_num,
+                episode_onscreen: match.episode_onscreen,
+                icon: match.icon,
+                subtitle: p.subtitle || match.subtitle,
+                subtitles: empty(p.subtitles) && !p.subtitle ? match.subtitles : p.subtitles,
+                description: p.description || match.description,
+                descriptions: empty(p.descriptions) && !p.description ? match.descriptions : p.descriptions,
+                categories: empty(p.categories) ? match.categories : p.categories,
+                ratings: empty(p.ratings) ? match.ratings : p.ratings
+            });
+        });
+
+        let i = 0;
+        const free = external.filter(e => {
+            // Broadcast programs ending before this one can no longer overlap the next ones either
+            while (i < ota.length && ota[i].end_time <= e.start_time) i++;
+            for (let j = i; j < ota.length && ota[j].start_time < e.end_time; j++) {
+                if (ota[j].end_time > e.start_time) return false;
+            }
+            return true;
+        });
+        // A gap is filled from one file: programs of a later file that overlap kept ones are dropped
+        const filled = [];
+        free.sort((a, b) => this.compareSources(a.source, b.source) || a.start_time - b.start_time).forEach(e => {
+            if (filled.some(f => f.source !== e.source && overlap(f, e) > 0)) return;
+            filled.push(e);
+            merged.push(e);
+        });
+        return merged.sort((a, b) => a.start_time - b.start_time);
+    }
+};
+
+if (XMLTV_SOURCES.length) {
+    dbReady.then(() => {
+        XMLTV_IMPORT.run();
+        setInterval(() => XMLTV_IMPORT.run(), XMLTV_IMPORT_INTERVAL * 1000);
+    });
+}
+
+// HDHomeRun Emulation
+// Lets Jellyfin, Plex and Channels DVR add this server as a native HDHomeRun tuner,
+// so they see our real tuner count instead of the unlimited generic M3U tuner.
+const HDHR = {
+    // libhdhomerun device id checksum lookup table
+    checksumTable: [0xA, 0x5, 0xF, 0x6, 0x7, 0xC, 0x1, 0xB, 0x9, 0x2, 0x8, 0xD, 0x4, 0x3, 0xE, 0x0],
+
+    deviceId: null,
+
+    deviceIdChecksum(id) {
+        let checksum = 0;
+        for (let shift = 28; shift >= 0; shift -= 8) {
+            checksum ^= this.checksumTable[(id >>> shift) & 0x0F];
+            checksum ^= (id >>> (shift - 4)) & 0x0F;
+        }
+        return checksum;
+    },
+
+    // Stable per-host device id with a valid checksum (clients such as Plex reject invalid ids)
+    getDeviceId() {
+        if (this.deviceId) return this.deviceId;
+
+        if (process.env.DEVICE_ID) {
+            const id = parseInt(process.env.DEVICE_ID, 16) >>> 0;
+            if (this.deviceIdChecksum(id) !== 0) {
+                console.warn(`[HDHR] DEVICE_ID ${process.env.DEVICE_ID} has an invalid checksum, some clients may ignore it.`);
+            }
+            this.deviceId = id.toString(16).toUpperCase().padStart(8, '0');
+            return this.deviceId;
+        }
+
+        const hash = this.crc32(Buffer.from(os.hostname()));
+        let id = (0x10000000 | (hash & 0x0FFFFFF0)) >>> 0;
+        id = (id | this.deviceIdChecksum(id)) >>> 0; // Last nibble is XORed directly, so it can cancel the rest
+        this.deviceId = id.toString(16).toUpperCase().padStart(8, '0');
+        return this.deviceId;
+    },
+
+    getDeviceUuid() {
+        const id = this.getDeviceId().toLowerCase();
+        return `${id}-0000-4000-8000-${id}0000`;
+    },
+
+    getLocalAddress() {
+        if (ADVERTISE_HOST) return ADVERTISE_HOST;
+        for (const addrs of Object.values(os.networkInterfaces())) {
+            const addr = (addrs || []).find(a => a.family === 'IPv4' && !a.internal);
+            if (addr) return addr.address;
+        }
+        return '127.0.0.1';
+    },
+
+    getBaseUrl(req) {
+        const host = (req && req.headers.host) || `${this.getLocalAddress()}:${PORT}`;
+        return `http://${host}`;
+    },
+
+    discover(baseUrl, query = '') {
+        return {
+            FriendlyName: FRIENDLY_NAME,
+            Manufacturer: 'Silicondust',
+            ModelNumber: 'HDTC-2US',
+            FirmwareName: 'hdhomeruntc_atsc',
+            FirmwareVersion: '20200101',
+            DeviceID: this.getDeviceId(),
+            DeviceAuth: 'express-m3u-tuner',
+            BaseURL: baseUrl,
+            LineupURL: `${baseUrl}/lineup.json${query}`,
+            TunerCount: TUNERS.length
+        };
+    },
+
+    lineup(baseUrl, channels = CHANNELS, query = '') {
+        return channels.map(c => ({
+            GuideNumber: c.number,
+            GuideName: c.name,
+            URL: `${baseUrl}/stream/${c.number}${query}`
+        }));
+    },
+
+    deviceXml(baseUrl) {
+        let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+        xml += '<root xmlns="urn:schemas-upnp-org:device-1-0">\n';
+        xml += `  <URLBase>${escapeXml(baseUrl)}</URLBase>\n`;
+        xml += '  <specVersion><major>1</major><minor>0</minor></specVersion>\n';
+        xml += '  <device>\n';
+        xml += '    <deviceType>urn:schemas-upnp-org:device:MediaServer:1</deviceType>\n';
+        xml += `    <friendlyName>${escapeXml(FRIENDLY_NAME)}</friendlyName>\n`;
+        xml += '    <manufacturer>Silicondust</manufacturer>\n';
+        xml += '    <modelName>HDTC-2US</modelName>\n';
+        xml += '    <modelNumber>HDTC-2US</modelNumber>\n';
+        xml += `    <serialNumber>${this.getDeviceId()}</serialNumber>\n`;
+        xml += `    <UDN>uuid:${this.getDeviceUuid()}</UDN>\n`;
+        xml += '  </device>\n';
+        xml += '</root>\n';
+        return xml;
+    },
+
+    // Ethernet CRC32 (reflected), used by the HDHomeRun UDP protocol
+    crc32(buf) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < buf.length; i++) {
+            crc ^= buf[i];
+            for (let k = 0; k < 8; k++) crc = (crc & 1) ? (crc >>> 1) ^ 0xEDB88320 : crc >>> 1;
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+
+    buildPacket(type, tags) {
+        const parts = [];
+        tags.forEach(([tag, value]) => {
+            const len = value.length;
+            const header = len < 128 ? Buffer.from([tag, len]) : Buffer.from([tag, 0x80 | (len & 0x7F), len >> 7]);
+            parts.push(header, value);
+        });
+        const payload = Buffer.concat(parts);
+        const head = Buffer.alloc(4);
+        head.writeUInt16BE(type, 0);
+        head.writeUInt16BE(payload.length, 2);
+        const body = Buffer.concat([head, payload]);
+        const crc = Buffer.alloc(4);
+        crc.writeUInt32LE(this.crc32(body), 0);
+        return Buffer.concat([body, crc]);
+    },
+
+    parsePacket(msg) {
+        if (msg.length < 8) return null;
+        const type = msg.readUInt16BE(0);
+        const length = msg.readUInt16BE(2);
+        if (msg.length < 4 + length + 4) return null;
+        if (this.crc32(msg.slice(0, 4 + length)) !== msg.readUInt32LE(4 + length)) return null;
+
+        const tags = new Map();
+        let offset = 4;
+        const end = 4 + length;
+        while (offset + 2 <= end) {
+            const tag = msg[offset];
+            let len = msg[offset + 1];
+            offset += 2;
+            if (len & 0x80) {
+                len = (len & 0x7F) | (msg[offset] << 7);
+                offset++;
+            }
+            tags.set(tag, msg.slice(offset, offset + len));
+            offset += len;
+        }
+        return { type, tags };
+    },
+
+    // HDHomeRun native discovery (UDP 65001), used by Jellyfin's tuner auto-detect
+    handleDiscoverRequest(socket, msg, rinfo) {
+        const packet = this.parsePacket(msg);
+        if (!packet || packet.type !== 0x0002) return; // HDHOMERUN_TYPE_DISCOVER_REQ
+
+        const deviceType = packet.tags.get(0x01);
+        if (deviceType && deviceType.length === 4) {
+            const t = deviceType.readUInt32BE(0);
+            if (t !== 0x00000001 && t !== 0xFFFFFFFF) return;
+        }
+        const deviceId = parseInt(this.getDeviceId(), 16) >>> 0;
+        const requestedId = packet.tags.get(0x02);
+        if (requestedId && requestedId.length === 4) {
+            const id = requestedId.readUInt32BE(0);
+            if (id !== deviceId && id !== 0xFFFFFFFF) return;
+        }
+
+        const baseUrl = `http://${this.getLocalAddress()}:${PORT}`;
+        const typeBuf = Buffer.alloc(4);
+        typeBuf.writeUInt32BE(0x00000001, 0);
+        const idBuf = Buffer.alloc(4);
+        idBuf.writeUInt32BE(deviceId, 0);
+
+        const reply = this.buildPacket(0x0003, [ // HDHOMERUN_TYPE_DISCOVER_RPY
+            [0x01, typeBuf],
+            [0x02, idBuf],
+            [0x10, Buffer.from([TUNERS.length])],
+            [0x2A, Buffer.from(baseUrl)],
+            [0x27, Buffer.from(`${baseUrl}/lineup.json`)],
+            [0x2B, Buffer.from('express-m3u-tuner')]
+        ]);
+        debugLog(`[HDHR] Discover reply to ${rinfo.address}:${rinfo.port}`);
+        socket.send(reply, rinfo.port, rinfo.address);
+    },
+
+    // SSDP (UPnP) discovery, used by Plex and Channels DVR
+    handleSsdpRequest(socket, msg, rinfo) {
+        const text = msg.toString();
+        if (!text.startsWith('M-SEARCH')) return;
+
+        const stMatch = text.match(/^ST:\s*(.+)$/im);
+        const st = stMatch ? stMatch[1].trim() : '';
+        const targets = ['ssdp:all', 'upnp:rootdevice', 'urn:schemas-upnp-org:device:MediaServer:1', `uuid:${this.getDeviceUuid()}`];
+        if (!targets.includes(st)) return;
+
+        const replyTarget = st === 'ssdp:all' ? 'upnp:rootdevice' : st;
+        const reply = [
+            'HTTP/1.1 200 OK',
+            'CACHE-CONTROL: max-age=1800',
+            'EXT:',
+            `LOCATION: http://${this.getLocalAddress()}:${PORT}/device.xml`,
+            'SERVER: Linux/5.0 UPnP/1.0 HDHomeRun/1.0',
+            `ST: ${replyTarget}`,
+            `USN: uuid:${this.getDeviceUuid()}::${replyTarget}`,
+            '', ''
+        ].join('\r\n');
+        debugLog(`[HDHR] SSDP reply to ${rinfo.address}:${rinfo.port} (ST: ${st})`);
+        socket.send(reply, rinfo.port, rinfo.address);
+    },
+
+    startDiscovery() {
+        const discoverSocket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+        discoverSocket.on('message', (msg, rinfo) => this.handleDiscoverRequest(discoverSocket, msg, rinfo));
+        discoverSocket.on('error', (err) => {
+            console.warn('[HDHR] Discovery socket error:', err.message);
+            discoverSocket.close();
+        });
+        discoverSocket.bind(65001, () => console.log('[HDHR] Listening for HDHomeRun discovery on UDP 65001'));
+
+        const ssdpSocket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+        ssdpSocket.on('message', (msg, rinfo) => this.handleSsdpRequest(ssdpSocket, msg, rinfo));
+        ssdpSocket.on('error', (err) => {
+            console.warn('[HDHR] SSDP socket error:', err.message);
+            ssdpSocket.close();
+        });
+        ssdpSocket.bind(1900, () => {
+            try {
+                ssdpSocket.addMembership('239.255.255.250');
+                console.log('[HDHR] Listening for SSDP discovery on UDP 1900');
+            } catch (e) {
+                console.warn('[HDHR] Failed to join SSDP multicast group:', e.message);
+            }
+        });
+    }
+};
+
+
+// Generate M3U Playlist
+app.get('/lineup.m3u', (req, res) => {
+    let m3u = '#EXTM3U\n';
+    const host = req.headers.host;
+    const currentLogos = getLatestLogos();
+    // ?profile= and the caller's token are passed through to every stream URL
+    const query = AUTH.linkQuery(req, { profile: req.query.profile && PROFILES.get(req.query.profile) ? req.query.profile : null });
+
+    AUTH.channels(req).forEach(channel => {
+        const icon = currentLogos[channel.number] || currentLogos[channel.name] || channel.icon;
+        let logoAttr = icon ? ` tvg-logo="${icon}"` : "";
+        m3u += `#EXTINF:-1 tvg-id="${channel.number}" tvg-name="${channel.name}"${logoAttr},${channel.number} ${channel.name}\n`;
+        m3u += `http://${host}/stream/${channel.number}${query}\n`;
+    });
+
+    res.set('Content-Type', 'audio/x-mpegurl');
+    res.send(m3u);
+});
+
+// XMLTV Endpoint
+// The document is streamed channel by channel, so memory use does not grow with the size of the
+// guide. Query: start (ms or ISO 8601, default now), days, channels (comma-separated numbers).
+const XMLTV = {
+    // The guide only changes when the EPG is written, the lineup is reloaded or logos.json changes
+    lastModified() {
+        let logos = 0;
+        try {
+            if (fs.existsSync(LOGOS_PATH)) logos = fs.statSync(LOGOS_PATH).mtimeMs;
+        } catch (e) { }
+        return Math.max(EPG_STORE.lastWrite, CHANNELS_LOADED_AT, logos);
+    },
+
+    programme(p, channel) {
+        let xml = `  <programme start="${formatXmltvDate(p.start_time)}" stop="${formatXmltvDate(p.end_time)}" channel="${channel.number}">\n`;
+        programStrings(p.titles, p.title).forEach(t => {
+            xml += `    <title lang="${xmltvLang(t.lang)}">${escapeXml(t.text)}</title>\n`;
+        });
+        programStrings(p.subtitles, p.subtitle).forEach(t => {
+            xml += `    <sub-title lang="${xmltvLang(t.lang)}">${escapeXml(t.text)}</sub-title>\n`;
+        });
+        programStrings(p.descriptions, p.description).forEach(d => {
+            xml += `    <desc lang="${xmltvLang(d.lang)}">${escapeXml(d.text)}</desc>\n`;
+        });
+        parseJsonColumn(p.categories).forEach(category => {
+            xml += `    <category lang="en">${escapeXml(category)}</category>\n`;
+        });
+        if (p.icon) xml += `    <icon src="${escapeXml(p.icon)}" />\n`;
+        if (p.episode_num) xml += `    <episode-num system="xmltv_ns">${escapeXml(p.episode_num)}</episode-num>\n`;
+        if (p.episode_onscreen) xml += `    <episode-num system="onscreen">${escapeXml(p.episode_onscreen)}</episode-num>\n`;
+        if (p.video_aspect || p.video_quality) {
+            xml += '    <video>\n';
+            if (p.video_aspect) xml += `      <aspect>${escapeXml(p.video_aspect)}</aspect>\n`;
+            if (p.video_quality) xml += `      <quality>${escapeXml(p.video_quality)}</quality>\n`;
+            xml += '    </video>\n';
+        }
+        if (p.audio) xml += `    <audio>\n      <stereo>${escapeXml(p.audio)}</stereo>\n    </audio>\n`;
+        parseJsonColumn(p.captions).forEach(c => {
+            xml += `    <subtitles type="${escapeXml(c.type)}">`;
+            xml += c.lang ? `<language>${xmltvLang(c.lang)}</language></subtitles>\n` : '</subtitles>\n';
+        });
+        parseJsonColumn(p.ratings).forEach(r => {
+            xml += `    <rating system="${escapeXml(r.system)}">\n      <value>${escapeXml(r.value)}</value>\n    </rating>\n`;
+        });
+        return xml + '  </programme>\n';
+    },
+
+    // Broadcast programs of one channel merged with the imported ones, sorted by start
+    async channelPrograms(channel, start, end) {
+        const rows = await dbAll(`SELECT * FROM programs WHERE frequency = ? AND channel_service_id IN (?, ?)
+            AND end_time > ? AND start_time < ? ORDER BY start_time`, [channel.frequency, channel.number, channel.serviceId, start, end]);
+        const external = await dbAll(`SELECT * FROM external_programs WHERE channel = ? AND end_time > ? AND start_time < ? ORDER BY start_time`,
+            [channel.number, start, end]);
+        return XMLTV_IMPORT.merge(rows.filter(p => findProgramChannel(p) === channel), external);
+    },
+
+    waitForDrain(stream) {
+        return new Promise(resolve => {
+            const done = () => {
+                stream.off('drain', done);
+                stream.off('close', done);
+                resolve();
+            };
+            stream.on('drain', done);
+            stream.on('close', done);
+        });
+    },
+
+    async serve(req, res, gzipFile) {
+        const start = req.query.start ? DVR.parseTime(req.query.start) : Date.now();
+        const days = req.query.days !== undefined ? parseFloat(req.query.days) : null;
+        if (isNaN(start) || (days !== null && !(days > 0))) {
+            return res.status(400).send('Invalid start or days');
+        }
+        const end = days ? start + days * 24 * 60 * 60 * 1000 : Number.MAX_SAFE_INTEGER;
+        const numbers = req.query.channels ? String(req.query.channels).split(',').map(n => n.trim()).filter(Boolean) : null;
+        const allowed = AUTH.channels(req);
+        const channels = numbers ? allowed.filter(c => numbers.includes(c.number)) : allowed;
+
+        const gzip = gzipFile || /\bgzip\b/i.test(req.get('Accept-Encoding') || '');
+        const modified = this.lastModified();
+        const variant = crypto.createHash('sha1')
+            .update(JSON.stringify([req.query.start || null, days, numbers, gzip, allowed.length < CHANNELS.length ? allowed.map(c => c.number) : null]))
+            .digest('hex').slice(0, 12);
+        res.set('Last-Modified', new Date(modified).toUTCString());
+        res.set('ETag', `W/"${Math.floor(modified).toString(36)}-${variant}"`);
+        if (!gzipFile) res.set('Vary', 'Accept-Encoding');
+        if (req.fresh) return res.status(304).end();
+
+        res.set('Content-Type', gzipFile ? 'application/gzip' : 'application/xml');
+        if (gzip && !gzipFile) res.set('Content-Encoding', 'gzip');
+        const out = gzip ? zlib.createGzip() : res;
+        if (gzip) out.pipe(res);
+
+        let closed = false;
+        res.on('close', () => {
+            closed = true;
+            if (gzip) out.destroy();
+        });
+        const write = async (text) => {
+            if (!out.write(text)) await this.waitForDrain(out);
+        };
+
+        const currentLogos = getLatestLogos();
+        let count = 0;
+        try {
+            await write('<?xml version="1.0" encoding="UTF-8"?>\n<tv>\n');
+            for (const c of channels) {
+                const icon = currentLogos[c.number] || currentLogos[c.name] || c.icon;
+                let xml = `  <channel id="${c.number}">\n`;
+                xml += `    <display-name>${escapeXml(c.name)}</display-name>\n`;
+                if (icon) xml += `    <icon src="${escapeXml(icon)}" />\n`;
+                await write(xml + '  </channel>\n');
+            }
+            for (const channel of channels) {
+                if (closed) return;
+                const programs = await this.channelPrograms(channel, start, end);
+                for (const p of programs) {
+                    if (closed) return;
+                    await write(this.programme(p, channel));
+                    count++;
+                }
+            }
+            out.end('</tv>');
+            console.log(`[XMLTV] Served ${count} programs for ${channels.length} channels${gzip ? ' (gzip)' : ''}.`);
+        } catch (err) {
+            console.error('[XMLTV] Error while streaming the guide:', err);
+            if (!res.headersSent) return res.status(500).send(err.message);
+            res.destroy(err);
+        }
+    }
+};
+
+app.get('/xmltv.xml', (req, res) => XMLTV.serve(req, res, false));
+app.get('/xmltv.xml.gz', (req, res) => XMLTV.serve(req, res, true));
+
+// Guide API
+// JSON views of the programs table for dashboards and scripts. Times are milliseconds since the
+// epoch, like the rest of the API; query parameters also accept ISO 8601.
+const GUIDE = {
+    defaultWindow: 3 * 60 * 60 * 1000,
+    maxWindow: 7 * 24 * 60 * 60 * 1000,
+    searchLimit: 50,
+    maxSearchLimit: 500,
+
+    toJSON(p, channel) {
+        return {
+            channel: channel.number,
+            start: p.start_time,
+            end: p.end_time,
+            title: p.title,
+            subtitle: p.subtitle || null,
+            description: p.description || null,
+            titles: programStrings(p.titles, p.title),
+            subtitles: programStrings(p.subtitles, p.subtitle),
+            descriptions: programStrings(p.descriptions, p.description),
+            categories: parseJsonColumn(p.categories),
+            ratings: parseJsonColumn(p.ratings),
+            captions: parseJsonColumn(p.captions),
+            audio: p.audio || null,
+            videoAspect: p.video_aspect || null,
+            videoQuality: p.video_quality || null
+        };
+    },
+
+    // Rows a channel's programs are stored under: its virtual channel (ATSC) or service id (DVB)
+    channelWhere(channel) {
+        return { sql: 'frequency = ? AND channel_service_id IN (?, ?)', params: [channel.frequency, channel.number, channel.serviceId] };
+    },
+
+    async grid(start, end, numbers, allowed = CHANNELS) {
+        const channels = numbers ? allowed.filter(c => numbers.includes(c.number)) : allowed;
+        const rows = await dbAll('SELECT * FROM programs WHERE end_time > ? AND start_time < ? ORDER BY start_time', [start, end]);
+        const byChannel = new Map(channels.map(c => [c, []]));
+        rows.forEach(p => {
+            const channel = findProgramChannel(p);
+            if (byChannel.has(channel)) byChannel.get(channel).push(this.toJSON(p, channel));
+        });
+        return {
+            start,
+            end,
+            channels: channels.map(c => ({ number: c.number, name: c.name, programs: byChannel.get(c) }))
+        };
+    },
+
+    async nowNext(channel, now = Date.now()) {
+        const where = this.channelWhere(channel);
+        const rows = await dbAll(`SELECT * FROM programs WHERE ${where.sql} AND end_time > ? ORDER BY start_time LIMIT 2`, [...where.params, now]);
+        const current = rows.length && rows[0].start_time <= now ? rows.shift() : null;
+        return {
+            channel: { number: channel.number, name: channel.name },
+            now: current ? this.toJSON(current, channel) : null,
+            next: rows.length ? this.toJSON(rows[0], channel) : null
+        };
+    },
+
+    // Every word must match, as a prefix, so "star tre" finds "Star Trek". Words are quoted to
+    // keep FTS syntax (AND, NEAR, column filters, ...) in user input from being interpreted.
+    async search(query, limit) {
+        const words = query.split(/\s+/).map(w => w.replace(/"/g, '')).filter(Boolean);
+        if (!words.length) return [];
+        const match = words.map(w => `"${w}"*`).join(' ');
+        const rows = await dbAll(`SELECT programs.* FROM programs_fts JOIN programs ON programs.rowid = programs_fts.rowid
+            WHERE programs_fts MATCH ? AND programs.end_time > ? ORDER BY programs.start_time LIMIT ?`, [match, Date.now(), limit]);
+        return rows.map(p => {
+            const channel = findProgramChannel(p);
+            return channel ? this.toJSON(p, channel) : null;
+        }).filter(Boolean);
+    }
+};
+
+// Query: start, end (ms or ISO 8601, default now to now + 3h), channels (comma-separated numbers)
+app.get('/api/guide', async (req, res) => {
+    const start = req.query.start ? DVR.parseTime(req.query.start) : Date.now();
+    const end = req.query.end ? DVR.parseTime(req.query.end) : start + GUIDE.defaultWindow;
+    if (isNaN(start) || isNaN(end) || end <= start) return res.status(400).json({ error: 'Invalid time range' });
+    if (end - start > GUIDE.maxWindow) return res.status(400).json({ error: 'Time range is limited to 7 days' });
+    const numbers = req.query.channels ? String(req.query.channels).split(',').map(n => n.trim()).filter(Boolean) : null;
+
+    try {
+        res.json(await GUIDE.grid(start, end, numbers, AUTH.channels(req)));
+    } catch (e) {
+        console.error('[Guide] Grid error:', e);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+app.get('/api/channels/:channelNum/now-next', async (req, res) => {
+    const channel = CHANNELS.find(c => c.number === req.params.channelNum);
+    if (!channel) return res.status(404).json({ error: 'Channel not found' });
+    if (!AUTH.canWatch(req, channel)) return res.status(403).json({ error: 'Channel not allowed for this key' });
+
+    try {
+        res.json(await GUIDE.nowNext(channel));
+    } catch (e) {
+        console.error('[Guide] Now/next error:', e);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Query: q (words to find in titles, sub-titles and descriptions), limit. Only programs not yet over.
+app.get('/api/search', async (req, res) => {
+    const query = String(req.query.q || '').trim();
+    if (!query) return res.status(400).json({ error: 'Missing search query (q)' });
+    const limit = Math.min(parseInt(req.query.limit, 10) || GUIDE.searchLimit, GUIDE.maxSearchLimit);
+
+    try {
+        const allowed = AUTH.channels(req).map(c => c.number);
+        res.json((await GUIDE.search(query, limit)).filter(p => allowed.includes(p.channel)));
+    } catch (e) {
+        console.error('[Guide] Search error:', e);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Channel Reload Endpoint
+app.post('/api/channels/reload', (req, res) => {
+    const diff = loadChannels();
+    if (!diff) {
+        return res.status(500).json({ error: 'Channels were not reloaded, see server log.' });
+    }
+    res.json(diff);
+});
+
+// HDHomeRun API Endpoints
+app.get('/discover.json', (req, res) => {
+    res.json(HDHR.discover(HDHR.getBaseUrl(req), AUTH.linkQuery(req)));
+});
+
+app.get('/lineup.json', (req, res) => {
+    res.json(HDHR.lineup(HDHR.getBaseUrl(req), AUTH.channels(req), AUTH.linkQuery(req)));
+});
+
+app.get('/lineup_status.json', (req, res) => {
+    const job = SCAN.current;
+    if (job) {
+        return res.json({
+            ScanInProgress: 1,
+            Progress: job.progress.total ? Math.round(job.progress.current * 100 / job.progress.total) : 0,
+            Found: job.found
+        });
+    }
+    res.json({
+        ScanInProgress: 0,
+        ScanPossible: 1,
+        Source: 'Antenna',
+        SourceList: ['Antenna']
+    });
+});
+
+// Clients ask the device to rescan; channels come from channels.conf so there is nothing to do
+app.post('/lineup.post', (req, res) => {
+    res.status(200).end();
+});
+
+app.get('/device.xml', (req, res) => {
+    res.set('Content-Type', 'application/xml');
+    res.send(HDHR.deviceXml(HDHR.getBaseUrl(req)));
+});
+
+// Transcoding Profiles
+// A profile describes what a channel session's ffmpeg does with the service it demuxes:
+//   video         - 'copy', 'h264' or 'none'
+//   height        - output height in lines; width follows the source aspect ratio
+//   videoBitrate, maxrate, bufsize, preset - encoder rate control (h264 only)
+//   deinterlace   - run yadif before scaling/encoding
+//   hwaccel       - 'software', 'qsv' or 'vaapi'; falls back to software when the device is unusable
+//   audio         - 'copy', 'aac' or 'none', with audioBitrate and audioChannels for aac
+//   priority      - added to the tuner priority of streams using the profile (see TUNER_ARBITER)
+// profiles.json may add or override profiles and pick per-channel defaults:
+//   { "default": "passthrough", "profiles": { "480p": { ... } }, "channels": { "15.1": "720p-mobile" } }
+const PROFILES = {
+    builtin() {
+        const hwaccel = ENABLE_QSV ? 'qsv' : 'software';
+        return {
+            'passthrough': { video: 'copy', audio: 'copy' },
+            '1080p-h264': {
+                video: 'h264', height: 1080, deinterlace: true, hwaccel,
+                videoBitrate: '5M', maxrate: '6M', bufsize: '12M', preset: 'veryfast',
+                audio: 'aac', audioBitrate: '128k', audioChannels: 2
+            },
+            '720p-mobile': {
+                video: 'h264', height: 720, deinterlace: true, hwaccel,
+                videoBitrate: '2M', maxrate: '2500k', bufsize: '5M', preset: 'veryfast',
+                audio: 'aac', audioBitrate: '96k', audioChannels: 2
+            },
+            'audio-only': { video: 'none', audio: 'aac', audioBitrate: '128k', audioChannels: 2 }
+        };
+    },
+
+    profiles: {},
+    channelDefaults: {},
+    defaultName: 'passthrough',
+    unavailable: new Set(), // hwaccel types found not to work on this host
+
+    load() {
+        let conf = {};
+        if (fs.existsSync(PROFILES_CONF)) {
+            try {
+                conf = JSON.parse(fs.readFileSync(PROFILES_CONF, 'utf8'));
+            } catch (e) {
+                console.error(`[Profiles] Could not read ${PROFILES_CONF}:`, e.message);
+                if (Object.keys(this.profiles).length) return; // Keep the last good configuration
+            }
+        }
+
+        const profiles = this.builtin();
+        Object.entries(conf.profiles || {}).forEach(([name, profile]) => {
+            profiles[name] = Object.assign({}, profiles[name], profile);
+        });
+        Object.entries(profiles).forEach(([name, profile]) => {
+            profile.name = name;
+            profile.video = profile.video || 'copy';
+            profile.audio = profile.audio || 'copy';
+            profile.hwaccel = profile.hwaccel || 'software';
+            profile.priority = parseInt(profile.priority, 10) || 0;
+            if (!['copy', 'h264', 'none'].includes(profile.video)) {
+                console.warn(`[Profiles] ${name}: unknown video mode "${profile.video}", using copy`);
+                profile.video = 'copy';
+            }
+            if (!['copy', 'aac', 'none'].includes(profile.audio)) {
+                console.warn(`[Profiles] ${name}: unknown audio mode "${profile.audio}", using copy`);
+                profile.audio = 'copy';
+            }
+            if (!['software', 'qsv', 'vaapi'].includes(profile.hwaccel)) {
+                console.warn(`[Profiles] ${name}: unknown hwaccel "${profile.hwaccel}", using software`);
+                profile.hwaccel = 'software';
+            }
+        });
+
+        // ENABLE_TRANSCODING keeps its old meaning when no default is configured
+        let defaultName = conf.default || (ENABLE_TRANSCODING ? '1080p-h264' : 'passthrough');
+        if (!profiles[defaultName]) {
+            console.warn(`[Profiles] Default profile "${defaultName}" does not exist, using passthrough`);
+            defaultName = 'passthrough';
+        }
+
+        const channelDefaults = {};
+        Object.entries(conf.channels || {}).forEach(([number, name]) => {
+            if (profiles[name]) channelDefaults[number] = name;
+            else console.warn(`[Profiles] Channel ${number}: unknown profile "${name}"`);
+        });
+
+        this.profiles = profiles;
+        this.defaultName = defaultName;
+        this.channelDefaults = channelDefaults;
+        console.log(`[Profiles] ${Object.keys(profiles).length} profiles loaded (default ${defaultName})`);
+    },
+
+    get(name) {
+        return Object.prototype.hasOwnProperty.call(this.profiles, name) ? this.profiles[name] : null;
+    },
+
+    forChannel(channel) {
+        return this.get(this.channelDefaults[channel.number]) || this.get(this.defaultName);
+    },
+
+    // Hardware acceleration actually used for a profile on this host
+    hwaccel(profile) {
+        if (profile.video !== 'h264' || profile.hwaccel === 'software') return 'software';
+        if (this.unavailable.has(profile.hwaccel)) return 'software';
+        if (!fs.existsSync(HWACCEL_DEVICE)) {
+            this.disable(profile.hwaccel, `${HWACCEL_DEVICE} not found`);
+            return 'software';
+        }
+        return profile.hwaccel;
+    },
+
+    disable(hwaccel, reason) {
+        if (this.unavailable.has(hwaccel)) return;
+        this.unavailable.add(hwaccel);
+        console.warn(`[Profiles] ${hwaccel.toUpperCase()} unavailable (${reason}), falling back to software encoding`);
+    },
+
+    toJSON() {
+        return {
+            default: this.defaultName,
+            channels: this.channelDefaults,
+            profiles: Object.values(this.profiles).map(profile => Object.assign({}, profile, {
+                hwaccelActive: profile.video === 'h264' ? this.hwaccel(profile) : null
+            }))
+        };
+    }
+};
+
+PROFILES.load();
+
+// Stream Sessions
+// Each streaming tuner runs one mux session: dvbv5-zap locked to a frequency and passing the
+// full transport stream. Every channel on that mux gets its own ffmpeg that demuxes its
+// service from the shared stream, and viewers of a channel attach to that ffmpeg's output
+// as fan-out subscribers. A tuner therefore serves every service on its frequency at once.
+// The same channel watched with two profiles runs two sessions (and two ffmpegs) on one mux.
+const SESSIONS = new Map(); // "channelNumber|profile" -> channel session
+const SUBSCRIBER_STALL_TIMEOUT = 30000; // Drop a subscriber that hasn't accepted data for 30s
+const SUBSCRIBER_MAX_BUFFER = 8 * 1024 * 1024; // Stop queueing to a subscriber past 8MB of backlog
+const FFMPEG_MAX_BUFFER = 16 * 1024 * 1024; // Stop feeding an ffmpeg that has fallen 16MB behind
+const FFMPEG_MAX_RESTARTS = 3; // Give up on a channel whose ffmpeg keeps dying...
+const FFMPEG_RESTART_WINDOW = 60000; // ...3 times within a minute
+let subscriberSeq = 0;
+
+function buildFfmpegArgs(channel, profile, hwaccel) {
+    // Global/Base Args
+    const ffmpegArgs = [];
+
+    if (hwaccel === 'qsv') {
+        ffmpegArgs.push('-init_hw_device', 'qsv=hw', '-filter_hw_device', 'hw');
+    } else if (hwaccel === 'vaapi') {
+        ffmpegArgs.push('-init_hw_device', `vaapi=hw:${HWACCEL_DEVICE}`, '-filter_hw_device', 'hw');
+    }
+
+    ffmpegArgs.push(
+        '-fflags', '+genpts+discardcorrupt',
+        '-err_detect', 'ignore_err',
+        '-analyzeduration', '2000000',
+        '-probesize', '2000000',
+        '-i', 'pipe:0'
+    );
+
+    // Select this channel's service (program number) out of the full mux
+    if (profile.video === 'copy' && profile.audio === 'copy') {
+        // Stream Copy (Pass-through), keeping captions and data streams
+        ffmpegArgs.push('-map', `0:p:${channel.serviceId}`, '-c', 'copy');
+        ffmpegArgs.push('-f', 'mpegts', 'pipe:1');
+        return ffmpegArgs;
+    }
+
+    if (profile.video !== 'none') ffmpegArgs.push('-map', `0:p:${channel.serviceId}:v?`);
+    if (profile.audio !== 'none') ffmpegArgs.push('-map', `0:p:${channel.serviceId}:a?`);
+
+    if (profile.video === 'none') {
+        ffmpegArgs.push('-vn');
+    } else if (profile.video === 'copy') {
+        ffmpegArgs.push('-c:v', 'copy');
+    } else {
+        // Software filters run first; hardware encoders then get NV12 frames uploaded to the device
+        // Note: 'hwupload_qsv' is often missing in some builds, 'hwupload' is more universal
+        const filters = [];
+        if (profile.deinterlace) filters.push('yadif=0:-1:0');
+        if (profile.height) filters.push(`scale=-2:${profile.height}`);
+
+        if (hwaccel === 'qsv') {
+            filters.push('format=nv12', 'hwupload=extra_hw_frames=64', 'format=qsv');
+            ffmpegArgs.push('-vf', filters.join(','), '-c:v', 'h264_qsv', '-preset', profile.preset || 'veryfast', '-global_quality', '23');
+        } else if (hwaccel === 'vaapi') {
+            filters.push('format=nv12', 'hwupload');
+            ffmpegArgs.push('-vf', filters.join(','), '-c:v', 'h264_vaapi');
+        } else {
+            if (filters.length) ffmpegArgs.push('-vf', filters.join(','));
+            ffmpegArgs.push('-c:v', 'libx264', '-preset', profile.preset || 'veryfast', '-tune', 'zerolatency');
+            if (!profile.videoBitrate) ffmpegArgs.push('-crf', '23');
+        }
+
+        if (profile.videoBitrate) ffmpegArgs.push('-b:v', profile.videoBitrate);
+        if (profile.maxrate) ffmpegArgs.push('-maxrate', profile.maxrate);
+        if (profile.bufsize) ffmpegArgs.push('-bufsize', profile.bufsize);
+    }
+
+    if (profile.audio === 'none') {
+        ffmpegArgs.push('-an');
+    } else if (profile.audio === 'copy') {
+        ffmpegArgs.push('-c:a', 'copy');
+    } else {
+        ffmpegArgs.push('-c:a', 'aac', '-b:a', profile.audioBitrate || '128k', '-ac', String(profile.audioChannels || 2));
+    }
+
+    // Output format
+    ffmpegArgs.push('-f', 'mpegts', 'pipe:1');
+    return ffmpegArgs;
+}
+
+function sessionKey(channel, profile) {
+    return `${channel.number}|${profile.name}`;
+}
+
+// Return the running session for a channel and profile, or tune a new one.
+// Concurrent requests for a channel that is still starting share the same startup.
+// When no tuner can be had, resolves null and request.rejection says why.
+// Every caller counts in session.waiting until it attaches a subscriber (or calls
+// leaveSession), so an early viewer leaving cannot stop the session under the others.
+async function getOrStartSession(channel, profile, request) {
+    const key = sessionKey(channel, profile);
+    const existing = SESSIONS.get(key);
+    if (existing && !existing.stopping) {
+        debugLog(`Joining existing session for ${channel.name}`);
+        existing.waiting++;
+        const joined = await existing.ready;
+        if (!joined) {
+            request.rejection = existing.request.rejection;
+            return null;
+        }
+        // Stopped while we waited (preempted, ffmpeg failed): start over with a new session
+        if (joined.stopping) {
+            joined.waiting--;
+            return getOrStartSession(channel, profile, request);
+        }
+        return joined;
+    }
+
+    const session = {
+        channel: channel,
+        profile: profile,
+        request: request,
+        hwaccel: null,
+        tuner: null,
+        mux: null,
+        ffmpeg: null,
+        subscribers: new Set(),
+        waiting: 1,
+        stopping: false,
+        startedAt: Date.now()
+    };
+    SESSIONS.set(key, session);
+    session.ready = startSession(session);
+
+    const result = await session.ready;
+    if (!result && SESSIONS.get(key) === session) SESSIONS.delete(key);
+    return result;
+}
+
+async function startSession(session) {
+    const channel = session.channel;
+
+    // Acquire a tuner already locked to this frequency, or any available one
+    const tuner = await acquireTuner(channel.frequency, session.request);
+
+    if (!tuner) {
+        METRICS.inc('stream_sessions_failed_total');
+        return null;
+    }
+
+    const shared = tuner.mux && !tuner.mux.stopping && tuner.mux.frequency === channel.frequency;
+    const mux = shared ? tuner.mux : startMux(tuner, channel);
+    console.log(`${shared ? 'Sharing' : 'Acquired'} Tuner ${tuner.id} for ${channel.name}`);
+
+    session.tuner = tuner;
+    session.mux = mux;
+    mux.sessions.add(session);
+
+    if (!await mux.ready || session.stopping) {
+        METRICS.inc('stream_sessions_failed_total');
+        stopSession(session, 'tuner not ready');
+        return null;
+    }
+
+    console.log(`Starting stream for ${channel.name} on Tuner ${tuner.id} (profile ${session.profile.name})`);
+    spawnSessionFfmpeg(session);
+    METRICS.inc('stream_sessions_started_total');
+
+    return session;
+}
+
+// Start ffmpeg to read the mux from stdin and pick out this channel's service.
+// If it dies on its own while viewers are attached, it is restarted on the same mux.
+// A hardware encoder that dies before producing any output is taken as unusable on this
+// host: the profile is retried immediately in software, and later sessions skip the device.
+function spawnSessionFfmpeg(session) {
+    const { channel, tuner, mux } = session;
+    const hwaccel = PROFILES.hwaccel(session.profile);
+    session.hwaccel = hwaccel;
+    const ffmpegArgs = buildFfmpegArgs(channel, session.profile, hwaccel);
+    debugLog(`Spawning FFmpeg with args: ${ffmpegArgs.join(' ')}`);
+    const ffmpeg = spawn('ffmpeg', ffmpegArgs);
+    const spawnedAt = Date.now();
+    session.ffmpeg = ffmpeg;
+
+    // Handle EPIPE on ffmpeg stdin (e.g. if ffmpeg fails to start or dies)
+    ffmpeg.stdin.on('error', (err) => {
+        if (err.code !== 'EPIPE') {
+            console.error(`FFmpeg stdin error [Tuner ${tuner.id}]:`, err);
+        }
+    });
+
+    // Fan out every chunk to all subscribers
+    let producedOutput = false;
+    ffmpeg.stdout.on('data', (chunk) => {
+        producedOutput = true;
+        session.subscribers.forEach(sub => {
+            if (writeToSubscriber(sub, chunk)) {
+                mux.bytesSent += chunk.length;
+                METRICS.inc('bytes_streamed_total', {}, chunk.length);
+            }
+        });
+    });
+
+    ffmpeg.stdout.on('error', (err) => {
+        console.error(`FFmpeg stdout error [Tuner ${tuner.id}]:`, err);
+        stopSession(session, 'ffmpeg stdout error');
+    });
+
+    ffmpeg.stderr.on('data', (data) => console.log(`FFmpeg [Tuner ${tuner.id}] ${channel.number}: ${data}`));
+
+    ffmpeg.on('exit', (code) => {
+        debugLog(`FFmpeg exited [Tuner ${tuner.id}] ${channel.number} with code ${code}`);
+        if (session.ffmpeg !== ffmpeg || session.stopping) return;
+
+        if (hwaccel !== 'software' && !producedOutput && !mux.stopping && Date.now() - spawnedAt < 10000) {
+            PROFILES.disable(hwaccel, `ffmpeg exited with code ${code} before producing output`);
+            spawnSessionFfmpeg(session);
+            return;
+        }
+
+        const now = Date.now();
+        session.restarts = (session.restarts || []).filter(t => now - t < FFMPEG_RESTART_WINDOW);
+        if (mux.stopping || session.subscribers.size === 0 || session.restarts.length >= FFMPEG_MAX_RESTARTS) {
+            stopSession(session, 'ffmpeg exited');
+            return;
+        }
+
+        session.restarts.push(now);
+        METRICS.inc('ffmpeg_restarts_total');
+        console.warn(`FFmpeg for ${channel.name} [Tuner ${tuner.id}] exited unexpectedly (code ${code}), restarting...`);
+        spawnSessionFfmpeg(session);
+    });
+
+    ffmpeg.on('error', (err) => {
+        console.error(`Tuner ${tuner.id} ffmpeg error:`, err);
+        METRICS.inc('stream_sessions_failed_total');
+        stopSession(session, 'ffmpeg error');
+    });
+}
+
+// Lock a tuner to a channel's frequency and start passing the full mux
+function startMux(tuner, channel) {
+    const mux = {
+        tuner: tuner,
+        frequency: channel.frequency,
+        sessions: new Set(),
+        stopping: false,
+        startedAt: Date.now(),
+        bytesIn: 0,
+        bytesSent: 0,
+        bitrate: 0,
+        inputBitrate: 0,
+        rateSample: { time: Date.now(), bytesIn: 0, bytesSent: 0 },
+        harvest: PASSIVE_EPG ? EPG.startHarvest(channel.frequency) : null
+    };
+
+    tuner.inUse = true;
+    tuner.processes = {};
+    tuner.mux = mux;
+    tuner.signal = null;
+
+    // Attach killSwitch for preemption (ends every channel served by this tuner)
+    tuner.killSwitch = () => stopMux(mux, 'preempted');
+
+    // Requests waiting for this frequency can share the mux from now on
+    TUNER_ARBITER.dispatch();
+
+    mux.ready = (async () => {
+        // Allow the hardware connection to settle before retuning
+        // Increased to 1000ms to reduce power contention on dual USB tuners
+        await delay(1000);
+
+        // Preempted or abandoned while settling
+        if (mux.stopping) return false;
+
+        console.log(`Tuning Tuner ${tuner.id} to ${channel.frequency} Hz (full mux via ${channel.number})`);
+
+        // allPids passes the whole mux so other services on this frequency can share the tuner.
+        const handle = BACKEND.tune(tuner, channel, { allPids: true });
+        tuner.processes.tuner = handle;
+
+        // Demux: hand the full transport stream to every channel's ffmpeg
+        handle.stream.on('data', (chunk) => {
+            mux.bytesIn += chunk.length;
+            mux.sessions.forEach(session => {
+                const stdin = session.ffmpeg && session.ffmpeg.stdin;
+                if (!stdin || stdin.destroyed) return;
+                // A stalled ffmpeg must not hold back the other channels on this mux
+                if (stdin.writableLength > FFMPEG_MAX_BUFFER) return;
+                stdin.write(chunk);
+            });
+            // The mux already carries its guide; keep the EPG fresh while it is watched
+            if (mux.harvest && !EPG.harvest(mux.harvest, chunk)) mux.harvest = null;
+        });
+
+        handle.stream.on('error', (err) => {
+            console.warn(`Tuner stream error [Tuner ${tuner.id}]:`, err);
+            stopMux(mux, 'tuner stream error');
+        });
+
+        handle.on('log', (text) => console.log(`Tuner ${tuner.id}: ${text}`));
+        handle.on('stats', (stats) => updateTunerSignal(tuner, stats));
+
+        // release tuner only when the backend exits (lock released)
+        handle.on('exit', (code, signal) => {
+            console.log(`Tuner ${tuner.id} backend exited (code: ${code}, signal: ${signal})`);
+
+            if (tuner.forceReleaseTimeout) {
+                clearTimeout(tuner.forceReleaseTimeout);
+                tuner.forceReleaseTimeout = null;
+            }
+
+            // Always mark free on exit, as the hardware lock is definitely gone
+            tuner.inUse = false;
+            tuner.cleaningUp = false;
+            tuner.killSwitch = null;
+            tuner.processes = {};
+            if (tuner.mux === mux) tuner.mux = null;
+            console.log(`Tuner ${tuner.id} marked as FREE`);
+
+            stopMux(mux, 'tuner exited');
+            TUNER_ARBITER.dispatch();
+        });
+
+        handle.on('error', (err) => {
+            console.error(`Tuner ${tuner.id} backend error:`, err);
+            stopMux(mux, 'tuner error');
+        });
+
+        return true;
+    })();
+
+    return mux;
+}
+
+// Stop every channel on a mux and release its tuner
+function stopMux(mux, reason) {
+    if (mux.stopping) return;
+    mux.stopping = true;
+
+    const tuner = mux.tuner;
+    console.log(`Stopping mux ${mux.frequency} Hz [Tuner ${tuner.id}]: ${reason}`);
+
+    if (reason === 'preempted') METRICS.inc('stream_sessions_preempted_total', {}, mux.sessions.size);
+    mux.sessions.forEach(session => stopSession(session, reason));
+    mux.sessions.clear();
+
+    if (tuner.cleaningUp) return;
+    tuner.cleaningUp = true;
+
+    console.log(`Cleaning up Tuner ${tuner.id}`);
+
+    // Remove the killSwitch reference so we don't call it again
+    tuner.killSwitch = null;
+
+    // Kill processes as aggressively as possible
+    console.log(`Sending SIGKILL to Tuner ${tuner.id} processes...`);
+    if (tuner.processes && tuner.processes.tuner) {
+        try { tuner.processes.tuner.stop(); } catch (e) { }
+    }
+
+    // Safety timeout to force release state if exit handler doesn't fire
+    tuner.forceReleaseTimeout = setTimeout(() => {
+        console.warn(`Force releasing Tuner ${tuner.id} state (cleanup timeout)`);
+        tuner.inUse = false;
+        tuner.cleaningUp = false;
+        tuner.processes = {};
+        tuner.forceReleaseTimeout = null;
+        if (tuner.mux === mux) tuner.mux = null;
+        TUNER_ARBITER.dispatch();
+    }, 1000);
+}
+
+// Tear down a channel session: end every subscriber and kill its ffmpeg.
+// The tuner stays locked while other channels on the same mux are still playing.
+function stopSession(session, reason) {
+    if (session.stopping) return;
+    session.stopping = true;
+
+    const key = sessionKey(session.channel, session.profile);
+    if (SESSIONS.get(key) === session) {
+        SESSIONS.delete(key);
+    }
+
+    const tunerLabel = session.tuner ? ` [Tuner ${session.tuner.id}]` : '';
+    console.log(`Stopping session for ${session.channel.name}${tunerLabel}: ${reason}`);
+
+    const subscribers = Array.from(session.subscribers);
+    session.subscribers.clear();
+    subscribers.forEach(sub => detachSubscriber(sub, reason));
+
+    if (session.ffmpeg) {
+        try { session.ffmpeg.kill('SIGKILL'); } catch (e) { }
+    }
+
+    const mux = session.mux;
+    if (mux && mux.sessions.delete(session) && mux.sessions.size === 0) {
+        stopMux(mux, 'no channels left on mux');
+    }
+}
+
+// Attach a sink (HTTP response, recording file, ...) to a session's fan-out.
+// `sub.res` only needs to be a writable stream; `sub.onDetach` is called when it is removed.
+function attachSubscriber(session, sub) {
+    const tuner = session.tuner;
+    sub.id = ++subscriberSeq;
+    sub.connectedAt = Date.now();
+    sub.lastActivity = Date.now();
+    sub.bytesSent = 0;
+
+    // Connection Watchdog (per subscriber)
+    // If a client stops reading data (e.g. mpv left open but paused/broken), its socket
+    // backlog grows and it stops accepting writes. Drop it without disturbing other viewers.
+    sub.res.on('drain', () => { sub.lastActivity = Date.now(); });
+    sub.watchdog = setInterval(() => {
+        const inactivity = Date.now() - sub.lastActivity;
+        if (inactivity > SUBSCRIBER_STALL_TIMEOUT) {
+            console.warn(`[Tuner ${tuner.id}] Watchdog: Client ${sub.address} stalled for ${Math.round(inactivity / 1000)}s - dropping.`);
+            METRICS.inc('watchdog_releases_total');
+            removeSubscriber(session, sub, 'stalled');
+        }
+    }, 5000);
+
+    session.subscribers.add(sub);
+    if (session.waiting > 0) session.waiting--;
+    console.log(`Client ${sub.address} attached to ${session.channel.name} [Tuner ${tuner.id}] (${session.subscribers.size} viewer(s))`);
+    return sub;
+}
+
+function addSubscriber(session, req, res, request) {
+    const tuner = session.tuner;
+    const sub = { res: res, address: req.socket.remoteAddress, request: request };
+
+    res.writeHead(200, {
+        'Content-Type': 'video/mp2t',
+        'Connection': 'keep-alive'
+    });
+
+    // Client disconnect handling
+    const onDisconnect = () => removeSubscriber(session, sub, 'socket close');
+    req.on('close', onDisconnect);
+    res.on('close', onDisconnect);
+    res.on('error', (err) => {
+        console.warn(`Response socket error [Tuner ${tuner.id}]:`, err);
+        removeSubscriber(session, sub, 'socket error');
+    });
+
+    return attachSubscriber(session, sub);
+}
+
+function writeToSubscriber(sub, chunk) {
+    // Slow client: skip data rather than stall the other viewers
+    if (sub.res.writableLength > SUBSCRIBER_MAX_BUFFER) return false;
+    sub.res.write(chunk);
+    sub.bytesSent += chunk.length;
+    sub.lastActivity = Date.now();
+    return true;
+}
+
+function detachSubscriber(sub, reason) {
+    clearInterval(sub.watchdog);
+
+    if (reason === 'stalled') {
+        sub.res.destroy();
+    } else if (!sub.res.writableEnded) {
+        sub.res.end();
+    }
+
+    if (sub.onDetach) sub.onDetach(reason);
+}
+
+// Release the tuner only when the last subscriber disconnects or stalls
+function removeSubscriber(session, sub, reason) {
+    if (!session.subscribers.has(sub)) return;
+    session.subscribers.delete(sub);
+    detachSubscriber(sub, reason);
+
+    const tunerLabel = session.tuner ? ` [Tuner ${session.tuner.id}]` : '';
+    console.log(`Client ${sub.address} detached from ${session.channel.name}${tunerLabel} (${reason}, ${session.subscribers.size} viewer(s) left)`);
+
+    if (session.subscribers.size === 0 && !session.waiting) {
+        stopSession(session, 'last subscriber left');
+    }
+}
+
+// A caller of getOrStartSession that decided not to attach after all
+function leaveSession(session, reason) {
+    if (session.waiting > 0) session.waiting--;
+    if (session.subscribers.size === 0 && !session.waiting) stopSession(session, reason);
+}
+
+// Stream Endpoint
+app.get('/stream/:channelNum', async (req, res) => {
+    const channelNum = req.params.channelNum;
+    const channel = CHANNELS.find(c => c.number === channelNum);
+
+    if (!channel) {
+        return res.status(404).send('Channel not found');
+    }
+
+    if (!AUTH.canWatch(req, channel)) {
+        return res.status(403).send('Channel not allowed for this key');
+    }
+
+    const profile = req.query.profile ? PROFILES.get(req.query.profile) : PROFILES.forChannel(channel);
+    if (!profile) {
+        return res.status(400).send(`Unknown profile. Available: ${Object.keys(PROFILES.profiles).join(', ')}`);
+    }
+
+    // Counted from before tuning, so a key at its limit cannot preempt anyone
+    const release = AUTH.claimStream(req, res);
+    if (!release) {
+        return res.status(429).send('Stream limit reached for this key');
+    }
+    res.on('close', release);
+
+    // Track clients that give up while the tuner is still starting
+    let clientGone = false;
+    const onEarlyClose = () => { clientGone = true; };
+    res.on('close', onEarlyClose);
+
+    const client = req.socket.remoteAddress;
+    const key = req.auth && req.auth.key;
+    const request = TUNER_ARBITER.request('live', `${channel.number} for ${client}${key ? ` (${key.name})` : ''}`, { client, profile, key });
+    const session = await getOrStartSession(channel, profile, request);
+    res.off('close', onEarlyClose);
+
+    if (!session) {
+        if (!clientGone) res.status(503).json(Object.assign({ error: 'No tuners available' }, request.rejection));
+        return;
+    }
+
+    const sub = addSubscriber(session, req, res, request);
+    if (clientGone) removeSubscriber(session, sub, 'client left during tune');
+});
+
+// Tuner Status
+// Sample throughput every 5s so the status API can report current bitrates
+setInterval(() => {
+    const now = Date.now();
+    TUNERS.forEach(tuner => {
+        const mux = tuner.mux;
+        if (!mux) return;
+        const elapsed = (now - mux.rateSample.time) / 1000;
+        if (elapsed <= 0) return;
+        mux.bitrate = Math.round((mux.bytesSent - mux.rateSample.bytesSent) * 8 / elapsed);
+        mux.inputBitrate = Math.round((mux.bytesIn - mux.rateSample.bytesIn) * 8 / elapsed);
+        mux.rateSample = { time: now, bytesIn: mux.bytesIn, bytesSent: mux.bytesSent };
+    });
+}, 5000);
+
+function getTunerStatus(tuner) {
+    const mux = tuner.mux && !tuner.mux.stopping ? tuner.mux : null;
+    const channels = mux ? Array.from(mux.sessions).map(session => ({
+        number: session.channel.number,
+        name: session.channel.name,
+        profile: session.profile.name,
+        hwaccel: session.hwaccel,
+        startedAt: session.startedAt,
+        clients: Array.from(session.subscribers).map(sub => ({
+            address: sub.address,
+            connectedAt: sub.connectedAt,
+            bytesSent: sub.bytesSent
+        }))
+    })) : [];
+
+    return {
+        id: tuner.id,
+        adapter: tuner.adapter,
+        inUse: !!tuner.inUse,
+        holder: tuner.inUse ? TUNER_ARBITER.holder(tuner) : null,
+        epgScanning: !!tuner.epgScanning,
+        channelScanning: !!tuner.scanning,
+        frequency: mux ? mux.frequency : null,
+        channel: channels.length ? channels[0].number : null,
+        channels: channels,
+        clients: channels.flatMap(c => c.clients.map(client => client.address)),
+        sessionStart: mux ? mux.startedAt : null,
+        bytesSent: mux ? mux.bytesSent : 0,
+        bitrate: mux ? mux.bitrate : 0,
+        inputBitrate: mux ? mux.inputBitrate : 0,
+        epgHarvest: mux && mux.harvest ? { programs: mux.harvest.count, complete: mux.harvest.complete } : null,
+        signal: tuner.signal || null
+    };
+}
+
+app.get('/api/tuners', (req, res) => {
+    res.json(TUNERS.map(getTunerStatus));
+});
+
+app.get('/api/tuners/queue', (req, res) => {
+    res.json(TUNER_ARBITER.toJSON());
+});
+
+app.get('/api/profiles', (req, res) => {
+    res.json(PROFILES.toJSON());
+});
+
+app.get('/api/epg/schedule', (req, res) => {
+    res.json(EPG_SCHEDULER.toJSON());
+});
+
+// Prometheus Metrics Endpoint
+app.get('/metrics', (req, res) => {
+    res.set('Content-Type', 'text/plain; version=0.0.4');
+    res.send(METRICS.render());
+});
+
+// HLS Output
+// An HLS session subscribes to the channel session and segments it into a rolling window
+// on disk. Keeping HLS_WINDOW seconds of segments lets clients pause, seek back and rejoin
+// live. There is no socket to watch, so a session ends after HLS_IDLE_TIMEOUT seconds
+// without playlist or segment requests.
+const HLS = {
+    sessions: new Map(), // channelNumber -> hls session
+
+    async getOrStart(channel, request) {
+        const existing = this.sessions.get(channel.number);
+        if (existing && !existing.stopping) {
+            const joined = await existing.ready;
+            if (!joined) request.rejection = existing.request.rejection;
+            return joined;
+        }
+
+        const hls = {
+            channel: channel,
+            request: request,
+            claims: new Map(), // API key name -> release of its stream count
+            dir: path.join(HLS_DIR, channel.number.replace(/[^\w.-]/g, '_')),
+            ffmpeg: null,
+            session: null,
+            sub: null,
+            stopping: false,
+            lastRequest: Date.now()
+        };
+        this.sessions.set(channel.number, hls);
+        hls.ready = this.start(hls);
+
+        const result = await hls.ready;
+        if (!result && this.sessions.get(channel.number) === hls) this.sessions.delete(channel.number);
+        return result;
+    },
+
+    async start(hls) {
+        const session = await getOrStartSession(hls.channel, PROFILES.forChannel(hls.channel), hls.request);
+        if (!session) return null;
+        if (hls.stopping) {
+            leaveSession(session, 'hls cancelled');
+            return null;
+        }
+
+        this.clearDir(hls.dir);
+        fs.mkdirSync(hls.dir, { recursive: true });
+
+        const listSize = Math.max(1, Math.ceil(HLS_WINDOW / HLS_SEGMENT_DURATION));
+        const args = [
+            '-fflags', '+genpts+discardcorrupt',
+            '-i', 'pipe:0',
+            '-c', 'copy',
+            '-f', 'hls',
+            '-hls_time', HLS_SEGMENT_DURATION.toString(),
+            '-hls_list_size', listSize.toString(),
+            '-hls_flags', 'delete_segments+independent_segments+program_date_time',
+            '-hls_segment_filename', path.join(hls.dir, 'seg%06d.ts'),
+            path.join(hls.dir, 'index.m3u8')
+        ];
+
+        debugLog(`[HLS] Spawning segmenter with args: ${args.join(' ')}`);
+        const ffmpeg = spawn('ffmpeg', args);
+        hls.ffmpeg = ffmpeg;
+        hls.session = session;
+
+        ffmpeg.stdin.on('error', (err) => {
+            if (err.code !== 'EPIPE') console.error(`[HLS] Segmenter stdin error (${hls.channel.number}):`, err);
+        });
+        ffmpeg.stderr.on('data', (data) => debugLog(`[HLS] FFmpeg ${hls.channel.number}: ${data}`));
+        ffmpeg.on('exit', (code) => {
+            debugLog(`[HLS] Segmenter for ${hls.channel.number} exited with code ${code}`);
+            this.stop(hls, 'segmenter exited');
+        });
+        ffmpeg.on('error', (err) => {
+            console.error(`[HLS] Segmenter error (${hls.channel.number}):`, err);
+            this.stop(hls, 'segmenter error');
+        });
 
-                offset = currentEventOffset; // Move to the start of the next event
-            }
-        } catch (e) {
-            console.error('[ATSC DEBUG] Error parsing EIT:', e);
-        }
+        hls.sub = attachSubscriber(session, {
+            res: ffmpeg.stdin,
+            address: `hls ${hls.channel.number}`,
+            request: hls.request,
+            onDetach: (reason) => this.stop(hls, reason)
+        });
+
+        console.log(`[HLS] Started ${hls.channel.name} (${HLS_WINDOW}s window in ${hls.dir})`);
+        return hls;
     },
 
-    parseATSCEET(section, sourceId, virtualChannel, freq) {
-        try {
-            const sectionLength = ((section[1] & 0x0F) << 8) | section[2];
-            if (section.length < 13) return;
+    stop(hls, reason) {
+        if (hls.stopping) return;
+        hls.stopping = true;
 
-            const etmId = section.readUInt32BE(9);
-            const eventId = (etmId >> 2) & 0x3FFF;
+        if (this.sessions.get(hls.channel.number) === hls) this.sessions.delete(hls.channel.number);
+        console.log(`[HLS] Stopping ${hls.channel.name}: ${reason}`);
+        hls.claims.forEach(release => release());
+        hls.claims.clear();
 
-            let desc = '';
-            // MSS starts at offset 13 
-            const mssBuffer = section.slice(13, sectionLength + 3 - 4);
-            if (mssBuffer.length > 5) {
-                const numStrings = mssBuffer[0];
-                if (numStrings > 0) {
-                    const stringLen = mssBuffer[7]; // num_strings(1) + lang(3) + num_segs(1) + comp(1) + mode(1) + len(1) = 8th byte
-                    if (mssBuffer.length >= 8 + stringLen) {
-                        desc = mssBuffer.slice(8, 8 + stringLen).toString('utf8');
-                        desc = desc.replace(/[\x00-\x09\x0B-\x1F\x7F]+/g, '').trim();
-                    }
-                }
-            }
+        if (hls.ffmpeg) {
+            try { hls.ffmpeg.kill('SIGKILL'); } catch (e) { }
+        }
+        if (hls.session && hls.sub) removeSubscriber(hls.session, hls.sub, reason);
 
-            if (desc) {
-                debugLog(`[ATSC ETT] Decoded Desc for Chan ${virtualChannel} Event ${eventId}`);
-                db.run("UPDATE programs SET description = ? WHERE frequency = ? AND channel_service_id = ? AND event_id = ?",
-                    [desc, freq, virtualChannel, eventId]);
-            }
+        try {
+            this.clearDir(hls.dir);
         } catch (e) {
-            console.error('[ATSC ETT] Error:', e);
+            console.warn(`[HLS] Failed to remove ${hls.dir}:`, e.message);
         }
     },
-    parseDVBEIT(section, serviceId, onFound) {
-        try {
-            const sectionLength = ((section[1] & 0x0F) << 8) | section[2];
-            let evOffset = 14;
 
-            while (evOffset < sectionLength - 1) {
-                if (evOffset + 12 > section.length) break;
+    // Remove only the files the segmenter writes, then the directory if that left it empty,
+    // so an HLS_DIR pointing at a shared location never loses anything else
+    clearDir(dir) {
+        let files;
+        try {
+            files = fs.readdirSync(dir);
+        } catch (e) {
+            return;
+        }
+        files.filter(f => /^(seg\d+\.ts|index\.m3u8(\.tmp)?)$/.test(f))
+            .forEach(f => fs.rmSync(path.join(dir, f), { force: true }));
+        try { fs.rmdirSync(dir); } catch (e) { }
+    },
 
-                const startTimeMJD = (section[evOffset + 2] << 8) | section[evOffset + 3];
-                const startTimeBCD = (section[evOffset + 4] << 16) | (section[evOffset + 5] << 8) | section[evOffset + 6];
-                const durationBCD = (section[evOffset + 7] << 16) | (section[evOffset + 8] << 8) | section[evOffset + 9];
-                const descriptorsLength = ((section[evOffset + 10] & 0x0F) << 8) | section[evOffset + 11];
+    // ffmpeg writes the playlist only once the first segment is complete
+    async waitForFile(hls, file, timeout = (HLS_SEGMENT_DURATION + 15) * 1000) {
+        const deadline = Date.now() + timeout;
+        while (Date.now() < deadline) {
+            if (hls.stopping) return false;
+            if (fs.existsSync(file)) return true;
+            await delay(250);
+        }
+        return false;
+    },
 
-                if (evOffset + 12 + descriptorsLength > section.length) break;
+    reapIdle() {
+        const now = Date.now();
+        this.sessions.forEach(hls => {
+            if (hls.session && now - hls.lastRequest > HLS_IDLE_TIMEOUT * 1000) {
+                this.stop(hls, `idle for ${Math.round((now - hls.lastRequest) / 1000)}s`);
+            }
+        });
+    }
+};
 
-                const startTime = this.parseDVBTime(startTimeMJD, startTimeBCD);
-                const durationSec = (((durationBCD >> 16) & 0x0F) * 3600) + (((durationBCD >> 20) & 0x0F) * 36000) +
-                    (((durationBCD >> 8) & 0x0F) * 60) + (((durationBCD >> 12) & 0x0F) * 600) +
-                    ((durationBCD & 0x0F)) + (((durationBCD >> 4) & 0x0F) * 10);
+// Clear segments left behind by a previous run
+try {
+    fs.readdirSync(HLS_DIR, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .forEach(entry => HLS.clearDir(path.join(HLS_DIR, entry.name)));
+} catch (e) { }
+setInterval(() => HLS.reapIdle(), 10 * 1000);
+
+// HLS Endpoints
+app.get('/hls/:channelNum/index.m3u8', async (req, res) => {
+    const channel = CHANNELS.find(c => c.number === req.params.channelNum);
+    if (!channel) {
+        return res.status(404).send('Channel not found');
+    }
 
-                const endTime = startTime + durationSec * 1000;
+    if (!AUTH.canWatch(req, channel)) {
+        return res.status(403).send('Channel not allowed for this key');
+    }
 
-                let descOffset = evOffset + 12;
-                let title = '';
-                let desc = '';
-
-                while (descOffset < evOffset + 12 + descriptorsLength) {
-                    const tag = section[descOffset];
-                    const len = section[descOffset + 1];
-
-                    if (tag === 0x4D) { // DVB Short Event Descriptor (Title)
-                        let titleLen = section[descOffset + 3];
-                        let titleStart = descOffset + 4;
-                        // Handle potential leading compression_type or mode_byte
-                        if (section[titleStart] < 0x20) { titleStart++; titleLen--; }
-                        title = section.slice(titleStart, titleStart + titleLen).toString('utf8').replace(/[^\x20-\x7E]/g, '');
-                    } else if (tag === 0x4E) { // DVB Extended Event Descriptor (Description)
-                        // For simplicity, just grab the first description text
-                        if (!desc) {
-                            let textOffset = descOffset + 2;
-                            // Skip descriptor_number, last_descriptor_number, language_code, length_of_items, items
-                            // and get to length_of_text and text_char
-                            // This is a simplified parse, a full parse would iterate through items
-                            if (textOffset + 3 < descOffset + 2 + len) { // Check for language code
-                                textOffset += 3; // Skip language_code
-                                // Skip length_of_items and items loop for now
-                                // Just try to find the text part
-                                let remainingLen = (descOffset + 2 + len) - textOffset;
-                                if (remainingLen > 0) {
-                                    desc = section.slice(textOffset, textOffset + remainingLen).toString('utf8').trim();
-                                }
-                            }
-                        }
-                    }
-                    descOffset += 2 + len;
-                }
+    // An HLS channel counts once against the key's limit for as long as its session runs
+    const release = AUTH.claimStream(req, `hls:${channel.number}`);
+    if (!release) {
+        return res.status(429).send('Stream limit reached for this key');
+    }
 
-                if (title && startTime > 0) {
-                    onFound();
-                    // console.log(`[DVB EPG] Parsed: "${title}" for Service ID: ${serviceId}`);
-                    db.run("INSERT OR REPLACE INTO programs (channel_service_id, start_time, end_time, title, description) VALUES (?, ?, ?, ?, ?)",
-                        [serviceId.toString(), startTime, endTime, title, desc]);
-                }
+    const client = req.socket.remoteAddress;
+    const key = req.auth && req.auth.key;
+    const request = TUNER_ARBITER.request('live', `HLS ${channel.number} for ${client}${key ? ` (${key.name})` : ''}`,
+        { client, profile: PROFILES.forChannel(channel), key });
+    const hls = await HLS.getOrStart(channel, request);
+    if (!hls || hls.stopping) {
+        release();
+        if (!hls) return res.status(503).json(Object.assign({ error: 'No tuners available' }, request.rejection));
+        return res.status(503).send('Stream stopped');
+    }
+    if (key && !hls.claims.has(key.name)) hls.claims.set(key.name, release);
+    hls.lastRequest = Date.now();
 
-                evOffset += 12 + descriptorsLength;
-            }
-        } catch (e) {
-            console.error('[DVB EPG] Error:', e);
-        }
+    const playlist = path.join(hls.dir, 'index.m3u8');
+    if (!await HLS.waitForFile(hls, playlist)) {
+        return res.status(504).send('Stream not ready');
     }
-};
+    hls.lastRequest = Date.now();
 
-// Schedule EPG grab every 15 minutes (Longer scan to get more data)
-setInterval(() => EPG.grab(60000), 15 * 60 * 1000);
-// Priority: Initial grab on startup ONLY if database is missing
-if (!dbExists) {
-    console.log('[EPG] epg.db not found. Starting initial full scan...');
-    EPG.grab();
-} else {
-    console.log('[EPG] epg.db found. Skipping initial scan (will refresh in 15m).');
-    EPG.isInitialScanDone = true;
-}
+    res.set('Content-Type', 'application/vnd.apple.mpegurl');
+    res.set('Cache-Control', 'no-cache');
+    const query = AUTH.linkQuery(req);
+    if (!query) return res.sendFile(playlist);
 
+    // Segment URIs are relative and players drop the query string, so carry the token on each
+    const text = await fs.promises.readFile(playlist, 'utf8');
+    res.send(text.replace(/^(seg\d+\.ts)$/gm, `$1${query}`));
+});
 
-// Generate M3U Playlist
-app.get('/lineup.m3u', (req, res) => {
-    let m3u = '#EXTM3U\n';
-    const host = req.headers.host;
-    const currentLogos = getLatestLogos();
+app.get('/hls/:channelNum/:segment', (req, res) => {
+    const hls = HLS.sessions.get(req.params.channelNum);
+    if (!hls || hls.stopping || !/^seg\d+\.ts$/.test(req.params.segment)) {
+        return res.status(404).send('Segment not found');
+    }
+    if (!AUTH.canWatch(req, hls.channel)) {
+        return res.status(403).send('Channel not allowed for this key');
+    }
+    hls.lastRequest = Date.now();
 
-    CHANNELS.forEach(channel => {
-        const icon = currentLogos[channel.number] || currentLogos[channel.name] || channel.icon;
-        let logoAttr = icon ? ` tvg-logo="${icon}"` : "";
-        m3u += `#EXTINF:-1 tvg-id="${channel.number}" tvg-name="${channel.name}"${logoAttr},${channel.number} ${channel.name}\n`;
-        m3u += `http://${host}/stream/${channel.number}\n`;
-    });
+    const file = path.join(hls.dir, req.params.segment);
+    if (!fs.existsSync(file)) {
+        return res.status(404).send('Segment not found');
+    }
 
-    res.set('Content-Type', 'audio/x-mpegurl');
-    res.send(m3u);
+    res.set('Content-Type', 'video/mp2t');
+    res.sendFile(file);
 });
 
-// XMLTV Endpoint
-app.get('/xmltv.xml', (req, res) => {
-    db.all("SELECT * FROM programs WHERE end_time > ? ORDER BY frequency, channel_service_id, start_time", [Date.now()], (err, rows) => {
-        if (err) {
-            console.error(err);
-            return res.status(500).send(err.message);
+// Channel Scan
+// Runs dvbv5-scan on a tuner reserved through acquireTuner, so scans queue behind (or preempt)
+// streams like any other request. The result is kept as a preview until it is applied,
+// at which point the old channels.conf is backed up and the loader picks up the new file.
+const SCAN = {
+    jobs: new Map(), // jobId -> job
+    current: null,
+    nextId: 1,
+
+    // Resolve a dtv-scan-tables region name (e.g. "us-ATSC-center-frequencies-8VSB" or "atsc/us-...")
+    findRegionFile(region) {
+        if (!/^[\w.+-]+(\/[\w.+-]+)?$/.test(region)) return null;
+        if (region.split('/').some(part => part === '.' || part === '..')) return null; // Stay inside SCAN_TABLES_DIR
+        const direct = path.join(SCAN_TABLES_DIR, region);
+        if (fs.existsSync(direct) && fs.statSync(direct).isFile()) return direct;
+
+        if (!fs.existsSync(SCAN_TABLES_DIR)) return null;
+        for (const dir of fs.readdirSync(SCAN_TABLES_DIR)) {
+            const candidate = path.join(SCAN_TABLES_DIR, dir, region);
+            if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) return candidate;
         }
-        console.log(`[XMLTV] Serving ${rows.length} programs.`);
+        return null;
+    },
 
-        const currentLogos = getLatestLogos();
-        let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
-        xml += '<tv>\n';
+    // Build a DVBv5 initial tuning file from an explicit frequency table
+    writeFrequencyTable(file, frequencies, deliverySystem, modulation) {
+        const blocks = frequencies.map(freq => [
+            '[CHANNEL]',
+            `\tDELIVERY_SYSTEM = ${deliverySystem}`,
+            `\tFREQUENCY = ${freq}`,
+            modulation ? `\tMODULATION = ${modulation}` : null,
+            '\tINVERSION = AUTO'
+        ].filter(Boolean).join('\n'));
+        fs.writeFileSync(file, blocks.join('\n\n') + '\n');
+    },
 
-        // Channels
-        CHANNELS.forEach(c => {
-            const icon = currentLogos[c.number] || currentLogos[c.name] || c.icon;
-            xml += `  <channel id="${c.number}">\n`;
-            xml += `    <display-name>${escapeXml(c.name)}</display-name>\n`;
-            if (icon) xml += `    <icon src="${escapeXml(icon)}" />\n`;
-            xml += '  </channel>\n';
-        });
+    toJSON(job) {
+        return {
+            id: job.id,
+            status: job.status,
+            tuner: job.tuner ? job.tuner.id : null,
+            source: job.source,
+            progress: job.progress,
+            found: job.found,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+            error: job.error,
+            preview: job.preview,
+            appliedAt: job.appliedAt || null,
+            backup: job.backup || null,
+            log: job.log.slice(-20)
+        };
+    },
 
-        // Programs
-        rows.forEach(p => {
-            // Find channel using both frequency and ID to avoid mux collisions
-            const channel = CHANNELS.find(c => {
-                const freqMatch = !p.frequency || p.frequency === 'unknown' || c.frequency === p.frequency;
-                const idMatch = c.number === p.channel_service_id || c.serviceId === p.channel_service_id;
-                return freqMatch && idMatch;
+    async start(options) {
+        if (this.current) throw new Error(`Scan ${this.current.id} is already running`);
+        if (!BACKEND.supportsScan) throw new Error(`The ${BACKEND.name} tuner backend does not support channel scans`);
+
+        const id = this.nextId++;
+        const job = {
+            id: id,
+            status: 'starting',
+            source: null,
+            tuner: null,
+            process: null,
+            progress: { current: 0, total: 0, frequency: null },
+            found: 0,
+            startedAt: Date.now(),
+            finishedAt: null,
+            error: null,
+            preview: null,
+            result: null, // channels.conf text produced by the scan
+            log: [],
+            initialFile: path.join(os.tmpdir(), `express-m3u-tuner-scan-${id}.initial`),
+            outputFile: path.join(os.tmpdir(), `express-m3u-tuner-scan-${id}.conf`)
+        };
+
+        if (options.region) {
+            const regionFile = this.findRegionFile(String(options.region));
+            if (!regionFile) throw new Error(`Region "${options.region}" not found in ${SCAN_TABLES_DIR}`);
+            fs.copyFileSync(regionFile, job.initialFile);
+            job.source = { region: String(options.region) };
+        } else if (Array.isArray(options.frequencies) && options.frequencies.length) {
+            const frequencies = options.frequencies.map(f => parseInt(f, 10));
+            if (frequencies.some(f => !(f > 0))) throw new Error('Invalid frequency in table');
+            const deliverySystem = options.deliverySystem || 'ATSC';
+            const modulation = options.modulation || (deliverySystem === 'ATSC' ? 'VSB/8' : null);
+            this.writeFrequencyTable(job.initialFile, frequencies, deliverySystem, modulation);
+            job.source = { frequencies, deliverySystem, modulation };
+        } else {
+            throw new Error('Provide a region or a frequencies array');
+        }
+
+        const initial = fs.readFileSync(job.initialFile, 'utf8');
+        job.progress.total = (initial.match(/^\s*\[/gm) || []).length;
+
+        this.jobs.set(id, job);
+        this.current = job;
+        this.run(job);
+        return job;
+    },
+
+    async run(job) {
+        // Reserve a tuner through the same arbitration as streams
+        const request = TUNER_ARBITER.request('scan', `channel scan #${job.id}`);
+        const tuner = await acquireTuner(null, request);
+        if (!tuner) return this.finish(job, 'failed', TUNER_ARBITER.describe(request.rejection));
+        job.tuner = tuner; // finish() releases it
+        if (job.status === 'cancelled') return this.finish(job, 'cancelled');
+
+        tuner.inUse = true;
+        tuner.scanning = true;
+        tuner.processes = {};
+        tuner.signal = null;
+        tuner.killSwitch = () => this.cancel(job.id, 'preempted');
+        job.status = 'running';
+
+        console.log(`[Scan] Job ${job.id} scanning ${job.progress.total} frequencies on Tuner ${tuner.id}...`);
+
+        const args = ['-a', tuner.id.toString(), '-O', 'DVBV5', '-o', job.outputFile, job.initialFile];
+        debugLog(`[Scan] Spawning dvbv5-scan with args: ${JSON.stringify(args)}`);
+        const scan = spawn('dvbv5-scan', args);
+        job.process = scan;
+        tuner.processes.scan = scan;
+
+        const onOutput = (data) => {
+            const text = data.toString();
+            updateTunerSignal(tuner, parseZapStats(text));
+            text.split(/[\r\n]+/).forEach(line => {
+                if (!line.trim()) return;
+                job.log.push(line.trim());
+                if (job.log.length > 200) job.log.shift();
+
+                const freq = line.match(/Scanning frequency #(\d+)\s+(\d+)/);
+                if (freq) {
+                    job.progress.current = parseInt(freq[1], 10);
+                    job.progress.frequency = parseInt(freq[2], 10);
+                    console.log(`[Scan] Job ${job.id}: frequency ${job.progress.current}/${job.progress.total} (${job.progress.frequency} Hz)`);
+                } else if (/^\s*Service\s/.test(line)) {
+                    job.found++;
+                }
             });
+        };
+        scan.stdout.on('data', onOutput);
+        scan.stderr.on('data', onOutput);
 
-            if (!channel) return;
+        scan.on('error', (err) => {
+            console.error('[Scan] dvbv5-scan error:', err);
+            this.finish(job, 'failed', err.message);
+        });
 
-            const start = formatXmltvDate(p.start_time);
-            const end = formatXmltvDate(p.end_time);
+        scan.on('exit', (code, signal) => {
+            debugLog(`[Scan] dvbv5-scan exited (code: ${code}, signal: ${signal})`);
+            if (job.status === 'cancelled') return this.finish(job, 'cancelled');
+            if (code !== 0 || !fs.existsSync(job.outputFile)) {
+                return this.finish(job, 'failed', `dvbv5-scan exited with code ${code}`);
+            }
 
-            xml += `  <programme start="${start}" stop="${end}" channel="${channel.number}">\n`;
-            xml += `    <title lang="en">${escapeXml(p.title)}</title>\n`;
-            if (p.description) xml += `    <desc lang="en">${escapeXml(p.description)}</desc>\n`;
-            xml += '  </programme>\n';
+            // The result is kept in memory until it is applied; finish() removes the file
+            try {
+                job.result = fs.readFileSync(job.outputFile, 'utf8');
+                job.preview = diffChannels(CHANNELS, parseChannelsConf(job.result));
+                this.finish(job, 'completed');
+            } catch (e) {
+                this.finish(job, 'failed', `Could not read scan result: ${e.message}`);
+            }
         });
+    },
 
-        xml += '</tv>';
-        res.set('Content-Type', 'application/xml');
-        res.send(xml);
-    });
-});
+    finish(job, status, error) {
+        if (job.finishedAt) return;
+        job.status = status;
+        job.error = error || null;
+        job.finishedAt = Date.now();
+        if (this.current === job) this.current = null;
 
-// Stream Endpoint
-app.get('/stream/:channelNum', async (req, res) => {
-    if (!EPG.isInitialScanDone) {
-        return res.status(503).send('Service Unavailable: Initial EPG scan in progress. Please wait a few minutes.');
-    }
+        const tuner = job.tuner;
+        if (tuner) {
+            tuner.inUse = false;
+            tuner.scanning = false;
+            tuner.killSwitch = null;
+            tuner.processes = {};
+            console.log(`Tuner ${tuner.id} marked as FREE`);
+            TUNER_ARBITER.dispatch();
+        }
+        try { fs.unlinkSync(job.initialFile); } catch (e) { }
+        try { fs.unlinkSync(job.outputFile); } catch (e) { }
 
-    const channelNum = req.params.channelNum;
-    const channel = CHANNELS.find(c => c.number === channelNum);
+        const summary = job.preview ? ` (${job.preview.total} channels: ${job.preview.added.length} added, ${job.preview.removed.length} removed, ${job.preview.changed.length} changed)` : '';
+        console.log(`[Scan] Job ${job.id} ${status}${error ? `: ${error}` : ''}${summary}`);
+    },
 
-    if (!channel) {
-        return res.status(404).send('Channel not found');
-    }
+    cancel(id, reason = 'cancelled') {
+        const job = this.jobs.get(id);
+        if (!job || job.finishedAt) return job || null;
 
-    // Acquire any available tuner
-    const tuner = await acquireTuner();
+        console.log(`[Scan] Cancelling job ${id}: ${reason}`);
+        job.status = 'cancelled';
+        // A job still waiting for a tuner is finished by run() once acquireTuner returns
+        if (job.process) {
+            try { job.process.kill('SIGKILL'); } catch (e) { }
+        }
+        return job;
+    },
 
-    if (!tuner) {
-        return res.status(503).send('No tuners available');
+    // Back up the current channels.conf, install the scan result and reload
+    apply(job) {
+        const id = job.id;
+        if (job.status !== 'completed') throw new Error(`Scan ${id} is ${job.status}, only completed scans can be applied`);
+
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        if (fs.existsSync(CHANNELS_CONF)) {
+            job.backup = `${CHANNELS_CONF}.${stamp}.bak`;
+            fs.copyFileSync(CHANNELS_CONF, job.backup);
+            console.log(`[Scan] Backed up ${CHANNELS_CONF} to ${job.backup}`);
+        }
+        fs.writeFileSync(CHANNELS_CONF, job.result);
+
+        const diff = loadChannels();
+        job.status = 'applied';
+        job.appliedAt = Date.now();
+        console.log(`[Scan] Applied job ${id} to ${CHANNELS_CONF}`);
+        return diff;
     }
+};
 
-    console.log(`Acquired Tuner ${tuner.id} for ${channel.name}`);
-    console.log(`Starting stream for ${channel.name} on Tuner ${tuner.id}`);
-    tuner.inUse = true;
-    tuner.processes = {};
+// Scan Endpoints
+// Body: { region: "us-ATSC-center-frequencies-8VSB" } or { frequencies: [...], deliverySystem?, modulation? }
+app.post('/api/scan', async (req, res) => {
+    try {
+        const job = await SCAN.start(req.body || {});
+        res.status(202).json(SCAN.toJSON(job));
+    } catch (e) {
+        res.status(SCAN.current ? 409 : 400).json({ error: e.message });
+    }
+});
 
-    // Allow the hardware connection to settle before retuning
-    // Increased to 1000ms to reduce power contention on dual USB tuners
-    await delay(1000);
-
-    // Use '-o -' to pipe the MPEG-TS stream to stdout. 
-    // This avoids 'Device or resource busy' errors on /dev/dvb/.../dvr0
-    const zap = spawn('dvbv5-zap', [
-        '-c', CHANNELS_CONF,
-        '-r',
-        '-a', tuner.id,
-        '-o', '-',
-        channel.number
-    ]);
-    tuner.processes.zap = zap;
-
-    zap.on('error', (err) => {
-        console.error(`Tuner ${tuner.id} zap error:`, err);
-        cleanup();
-        if (!res.headersSent) res.status(500).send('Tuner error');
-    });
+app.get('/api/scan', (req, res) => {
+    res.json(Array.from(SCAN.jobs.values()).map(job => SCAN.toJSON(job)));
+});
 
-    // 2. Start ffmpeg to read from stdin (piped from zap)
+app.get('/api/scan/:id', (req, res) => {
+    const job = SCAN.jobs.get(parseInt(req.params.id, 10));
+    if (!job) return res.status(404).json({ error: 'Scan not found' });
+    res.json(SCAN.toJSON(job));
+});
 
-    // Global/Base Args
-    const ffmpegArgs = [];
+app.delete('/api/scan/:id', (req, res) => {
+    const job = SCAN.cancel(parseInt(req.params.id, 10));
+    if (!job) return res.status(404).json({ error: 'Scan not found' });
+    res.json(SCAN.toJSON(job));
+});
 
-    if (ENABLE_TRANSCODING && ENABLE_QSV) {
-        ffmpegArgs.push('-init_hw_device', 'qsv=hw', '-filter_hw_device', 'hw');
+app.post('/api/scan/:id/apply', (req, res) => {
+    const job = SCAN.jobs.get(parseInt(req.params.id, 10));
+    if (!job) return res.status(404).json({ error: 'Scan not found' });
+    try {
+        const diff = SCAN.apply(job);
+        res.json({ applied: true, diff });
+    } catch (e) {
+        res.status(409).json({ error: e.message });
     }
+});
 
-    ffmpegArgs.push(
-        '-fflags', '+genpts+discardcorrupt',
-        '-err_detect', 'ignore_err',
-        '-analyzeduration', '2000000',
-        '-probesize', '2000000',
-        '-i', 'pipe:0'
-    );
+// DVR
+// Schedules live in SQLite. A scheduler tick starts captures when their padded window opens
+// and stops them when it closes. A capture is just another subscriber of the channel's
+// session, so recordings share tuners and muxes with live viewers.
+const DVR = {
+    active: new Map(), // recordingId -> capture
+    lastRuleExpansion: 0,
+
+    parseTime(value) {
+        if (value === undefined || value === null || value === '') return NaN;
+        if (typeof value === 'number') return value;
+        if (/^\d+$/.test(value)) return parseInt(value, 10);
+        return Date.parse(value);
+    },
 
-    if (ENABLE_TRANSCODING) {
-        if (ENABLE_QSV) {
-            // Hardware Transcoding (Intel QSV)
-            // 1. Software deinterlace
-            // 2. Ensure NV12 format
-            // 3. Upload to hardware with explicit format=qsv
-            // Note: 'hwupload_qsv' is often missing in some builds, 'hwupload' is more universal
-            ffmpegArgs.push(
-                '-vf', 'yadif=0:-1:0,format=nv12,hwupload=extra_hw_frames=64,format=qsv',
-                '-c:v', 'h264_qsv',
-                '-preset', 'veryfast',
-                '-global_quality', '23',
-                '-b:v', '5M',
-                '-maxrate', '6M',
-                '-bufsize', '12M',
-                '-c:a', 'aac',
-                '-b:a', '128k',
-                '-ac', '2'
-            );
-        } else {
-            // Software Transcoding (H.264/AAC)
-            ffmpegArgs.push(
-                '-c:v', 'libx264',
-                '-preset', 'ultrafast',
-                '-tune', 'zerolatency',
-                '-vf', 'yadif=0:-1:0',
-                '-crf', '23',
-                '-maxrate', '5M',
-                '-bufsize', '10M',
-                '-c:a', 'aac',
-                '-b:a', '128k',
-                '-ac', '2'
-            );
-        }
-    } else {
-        // Stream Copy (Pass-through)
-        ffmpegArgs.push('-c', 'copy');
-    }
+    buildFileName(rec) {
+        const d = new Date(rec.start_time);
+        const pad = n => n < 10 ? '0' + n : n;
+        const stamp = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}${pad(d.getMinutes())}`;
+        const title = (rec.title || 'Recording').replace(/[\/\\:*?"<>|]+/g, '_').trim();
+        return `${title} - ${rec.channel} - ${stamp}.ts`;
+    },
 
-    // Output format
-    ffmpegArgs.push('-f', 'mpegts', 'pipe:1');
+    windowOf(rec) {
+        const padStart = (rec.padding_start ?? RECORDING_PADDING_START) * 1000;
+        const padEnd = (rec.padding_end ?? RECORDING_PADDING_END) * 1000;
+        return { start: rec.start_time - padStart, end: rec.end_time + padEnd };
+    },
 
-    debugLog(`Spawning FFmpeg with args: ${ffmpegArgs.join(' ')}`);
-    const ffmpeg = spawn('ffmpeg', ffmpegArgs);
-    tuner.processes.ffmpeg = ffmpeg;
+    // Recordings on the same frequency share a tuner, so a conflict is more
+    // distinct muxes in use at once than there are tuners.
+    async findConflicts() {
+        const rows = await dbAll(`SELECT * FROM recordings WHERE status IN ('scheduled', 'recording') ORDER BY start_time`);
+        const now = Date.now();
+        const items = rows
+            .map(rec => ({ rec, window: this.windowOf(rec) }))
+            .filter(item => item.window.end > now);
+
+        const conflicts = new Map();
+        items.forEach(item => {
+            const overlapping = items.filter(other =>
+                other.window.start < item.window.end && other.window.end > item.window.start &&
+                other.window.start <= item.window.start);
+            const muxes = new Set(overlapping.map(other => {
+                const channel = CHANNELS.find(c => c.number === other.rec.channel);
+                return (channel && channel.frequency) || `channel:${other.rec.channel}`;
+            }));
+            if (muxes.size > TUNERS.length) {
+                overlapping.forEach(other => conflicts.set(other.rec.id, other.rec));
+            }
+        });
+        return Array.from(conflicts.values());
+    },
 
-    // Pipe zap stdout -> ffmpeg stdin
-    // Handle EPIPE on ffmpeg stdin (e.g. if ffmpeg fails to start or dies)
-    ffmpeg.stdin.on('error', (err) => {
-        if (err.code !== 'EPIPE') {
-            console.error(`FFmpeg stdin error [Tuner ${tuner.id}]:`, err);
+    async scheduleProgram(channelNum, programStart, padding) {
+        const channel = CHANNELS.find(c => c.number === channelNum);
+        if (!channel) throw new Error('Channel not found');
+
+        const programs = await dbAll('SELECT * FROM programs WHERE start_time = ?', [programStart]);
+        const program = programs.find(p => findProgramChannel(p) === channel);
+        if (!program) throw new Error('Program not found in guide');
+
+        return this.insertRecording({
+            channel: channel.number,
+            title: program.title,
+            description: program.description,
+            start: program.start_time,
+            end: program.end_time
+        }, padding);
+    },
+
+    async scheduleRange(channelNum, start, end, title, padding) {
+        const channel = CHANNELS.find(c => c.number === channelNum);
+        if (!channel) throw new Error('Channel not found');
+        if (isNaN(start) || isNaN(end) || end <= start) throw new Error('Invalid time range');
+
+        return this.insertRecording({ channel: channel.number, title: title || channel.name, start, end }, padding);
+    },
+
+    async insertRecording(rec, padding = {}, ruleId = null) {
+        const result = await dbWrite(`INSERT OR IGNORE INTO recordings
+            (channel, title, description, start_time, end_time, padding_start, padding_end, rule_id, status, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'scheduled', ?)`,
+            [rec.channel, rec.title, rec.description || null, rec.start, rec.end,
+            padding.start ?? null, padding.end ?? null, ruleId, Date.now()]);
+        if (result.changes) {
+            console.log(`[DVR] Scheduled "${rec.title}" on ${rec.channel} at ${new Date(rec.start).toISOString()}`);
+            return dbGet('SELECT * FROM recordings WHERE id = ?', [result.lastID]);
         }
-    });
+        return dbGet('SELECT * FROM recordings WHERE channel = ? AND start_time = ?', [rec.channel, rec.start]);
+    },
 
-    zap.stdout.pipe(ffmpeg.stdin).on('error', (err) => {
-        console.warn(`Zap stdout pipe error [Tuner ${tuner.id}]:`, err);
-        cleanup();
-    });
+    async addRule(title, channelNum, padding = {}) {
+        if (!title) throw new Error('Series title is required');
+        if (channelNum && !CHANNELS.find(c => c.number === channelNum)) throw new Error('Channel not found');
 
-    res.on('error', (err) => {
-        console.warn(`Response socket error [Tuner ${tuner.id}]:`, err);
-        cleanup();
-    });
+        const result = await dbWrite(`INSERT INTO recording_rules (title, channel, padding_start, padding_end, created_at)
+            VALUES (?, ?, ?, ?, ?)`, [title, channelNum || null, padding.start ?? null, padding.end ?? null, Date.now()]);
+        console.log(`[DVR] Added series rule #${result.lastID} for "${title}"${channelNum ? ` on ${channelNum}` : ''}`);
+        await this.expandRules();
+        return dbGet('SELECT * FROM recording_rules WHERE id = ?', [result.lastID]);
+    },
 
-    res.writeHead(200, {
-        'Content-Type': 'video/mp2t',
-        'Connection': 'keep-alive'
-    });
+    // Turn series rules into concrete recordings for every matching guide entry
+    async expandRules() {
+        this.lastRuleExpansion = Date.now();
+        const rules = await dbAll('SELECT * FROM recording_rules');
+        for (const rule of rules) {
+            const programs = await dbAll('SELECT * FROM programs WHERE end_time > ? AND lower(title) = lower(?) ORDER BY start_time',
+                [Date.now(), rule.title]);
+            for (const p of programs) {
+                const channel = findProgramChannel(p);
+                if (!channel || (rule.channel && rule.channel !== channel.number)) continue;
+                await this.insertRecording({
+                    channel: channel.number,
+                    title: p.title,
+                    description: p.description,
+                    start: p.start_time,
+                    end: p.end_time
+                }, { start: rule.padding_start, end: rule.padding_end }, rule.id);
+            }
+        }
+    },
 
-    // Connection Watchdog
-    // If the client stops reading data (e.g. mpv left open but paused/broken),
-    // the pipe will backpressure and ffmpeg will stop emitting data.
-    if (tuner.watchdogInterval) clearInterval(tuner.watchdogInterval);
+    async tick() {
+        try {
+            if (Date.now() - this.lastRuleExpansion > 5 * 60 * 1000) await this.expandRules();
+
+            const now = Date.now();
+            const rows = await dbAll(`SELECT * FROM recordings WHERE status IN ('scheduled', 'recording') ORDER BY start_time`);
+            for (const rec of rows) {
+                const window = this.windowOf(rec);
+                if (window.start > now) continue;
+
+                if (now >= window.end) {
+                    await this.finishRecording(rec);
+                } else if (!this.active.has(rec.id)) {
+                    await this.startCapture(rec);
+                }
+            }
+        } catch (e) {
+            console.error('[DVR] Scheduler error:', e);
+        }
+    },
 
-    tuner.lastActivity = Date.now();
-    tuner.watchdogInterval = setInterval(() => {
-        if (tuner.cleaningUp) return; // Don't fire if already cleaning up
+    async startCapture(rec) {
+        const channel = CHANNELS.find(c => c.number === rec.channel);
+        if (!channel) {
+            await dbWrite(`UPDATE recordings SET status = 'failed', error = ? WHERE id = ?`, ['Channel not found', rec.id]);
+            return;
+        }
 
-        const inactivity = Date.now() - tuner.lastActivity;
-        if (inactivity > 30000) { // 30s timeout
-            console.warn(`[Tuner ${tuner.id}] Watchdog: Client stalled for ${Math.round(inactivity / 1000)}s - releasing.`);
-            // STOP THE WATCHDOG IMMEDIATELY to prevent spam
-            if (tuner.watchdogInterval) {
-                clearInterval(tuner.watchdogInterval);
-                tuner.watchdogInterval = null;
+        const capture = { id: rec.id, rec: rec, sub: null, finishing: false };
+        this.active.set(rec.id, capture);
+
+        const request = TUNER_ARBITER.request('recording', `recording #${rec.id} "${rec.title}"`);
+        const session = await getOrStartSession(channel, PROFILES.forChannel(channel), request);
+        if (!session || capture.finishing) {
+            this.active.delete(rec.id);
+            if (session) leaveSession(session, 'recording cancelled');
+            if (!session) {
+                console.warn(`[DVR] No tuner available for "${rec.title}" on ${rec.channel}, will retry.`);
+                await dbWrite('UPDATE recordings SET error = ? WHERE id = ?', [TUNER_ARBITER.describe(request.rejection), rec.id]);
             }
-            cleanup();
+            return;
         }
-    }, 5000);
 
-    // Update activity on every data chunk sent to client
-    ffmpeg.stdout.on('data', () => {
-        tuner.lastActivity = Date.now();
-    });
+        // Resume into the same file if the capture was interrupted
+        const filePath = rec.file_path || path.join(RECORDINGS_DIR, this.buildFileName(rec));
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const stream = fs.createWriteStream(filePath, { flags: 'a' });
+        stream.on('error', (err) => {
+            console.error(`[DVR] Write error for recording ${rec.id}:`, err);
+            capture.error = err.message;
+            removeSubscriber(session, capture.sub, 'write error');
+        });
 
-    // Handle ffmpeg output pipe errors (e.g. client disconnect)
-    ffmpeg.stdout.on('error', (err) => {
-        if (err.code === 'EPIPE' || err.code === 'ECONNRESET') {
-            console.log(`FFmpeg EPIPE/ECONNRESET [Tuner ${tuner.id}] - client likely disconnected`);
-            cleanup();
+        capture.sub = attachSubscriber(session, {
+            res: stream,
+            address: `recording #${rec.id}`,
+            recordingId: rec.id,
+            request: request,
+            onDetach: (reason) => this.onCaptureDetached(capture, reason)
+        });
+        capture.session = session;
+
+        console.log(`[DVR] Recording "${rec.title}" on ${rec.channel} to ${filePath}`);
+        await dbWrite(`UPDATE recordings SET status = 'recording', file_path = ?, error = NULL WHERE id = ?`, [filePath, rec.id]);
+    },
+
+    onCaptureDetached(capture, reason) {
+        if (this.active.get(capture.id) === capture) this.active.delete(capture.id);
+        if (capture.finishing) return;
+
+        // Status stays 'recording'; the next tick re-attaches while the window is still open
+        console.warn(`[DVR] Recording ${capture.id} interrupted (${reason}), will retry.`);
+        dbWrite('UPDATE recordings SET error = ? WHERE id = ?', [capture.error || `Interrupted: ${reason}`, capture.id])
+            .catch(e => console.error('[DVR] Failed to update recording:', e));
+    },
+
+    stopCapture(id, reason) {
+        const capture = this.active.get(id);
+        if (!capture) return false;
+        capture.finishing = true;
+        this.active.delete(id);
+        if (capture.session && capture.sub) removeSubscriber(capture.session, capture.sub, reason);
+        return true;
+    },
+
+    async finishRecording(rec) {
+        const wasActive = this.stopCapture(rec.id, 'recording complete');
+        if (wasActive || rec.status === 'recording') {
+            console.log(`[DVR] Finished recording "${rec.title}" on ${rec.channel}`);
+            await dbWrite(`UPDATE recordings SET status = 'completed' WHERE id = ?`, [rec.id]);
         } else {
-            console.error(`FFmpeg stdout error [Tuner ${tuner.id}]:`, err);
+            console.warn(`[DVR] Missed recording "${rec.title}" on ${rec.channel}`);
+            await dbWrite(`UPDATE recordings SET status = 'failed', error = COALESCE(error, 'Never started') WHERE id = ?`, [rec.id]);
         }
-    });
+    },
 
-    ffmpeg.stdout.pipe(res).on('error', (err) => {
-        console.warn(`Response pipe error [Tuner ${tuner.id}]:`, err);
-        cleanup();
-    });
+    async deleteRecording(id, deleteFile) {
+        const rec = await dbGet('SELECT * FROM recordings WHERE id = ?', [id]);
+        if (!rec) return null;
 
-    // Logging helpers
-    ffmpeg.stderr.on('data', (data) => console.log(`FFmpeg [Tuner ${tuner.id}]: ${data}`));
-    zap.stderr.on('data', (data) => console.log(`Zap [Tuner ${tuner.id}]: ${data}`));
+        this.stopCapture(rec.id, 'recording cancelled');
 
-    // Cleanup function
-    const cleanup = () => {
-        // Always clear watchdog first to prevent infinite loops/spam
-        if (tuner.watchdogInterval) {
-            clearInterval(tuner.watchdogInterval);
-            tuner.watchdogInterval = null;
+        if (deleteFile && rec.file_path && fs.existsSync(rec.file_path)) {
+            fs.unlinkSync(rec.file_path);
         }
 
-        if (tuner.cleaningUp) return;
-        tuner.cleaningUp = true;
+        if (rec.rule_id && rec.status === 'scheduled' && !deleteFile) {
+            // Keep a tombstone so the series rule doesn't schedule it again
+            await dbWrite(`UPDATE recordings SET status = 'cancelled' WHERE id = ?`, [rec.id]);
+        } else if (rec.status === 'recording' && !deleteFile) {
+            await dbWrite(`UPDATE recordings SET status = 'cancelled' WHERE id = ?`, [rec.id]);
+        } else {
+            await dbWrite('DELETE FROM recordings WHERE id = ?', [rec.id]);
+        }
+        console.log(`[DVR] Removed recording "${rec.title}" on ${rec.channel}`);
+        return rec;
+    },
 
-        console.log(`Cleaning up Tuner ${tuner.id}`);
+    async deleteRule(id) {
+        const rule = await dbGet('SELECT * FROM recording_rules WHERE id = ?', [id]);
+        if (!rule) return null;
+        await dbWrite('DELETE FROM recording_rules WHERE id = ?', [id]);
+        await dbWrite(`DELETE FROM recordings WHERE rule_id = ? AND status IN ('scheduled', 'cancelled')`, [id]);
+        console.log(`[DVR] Removed series rule #${id} for "${rule.title}"`);
+        return rule;
+    }
+};
 
-        // Remove the killSwitch reference so we don't call it again
-        tuner.killSwitch = null;
+dbReady.then(() => setInterval(() => DVR.tick(), 15 * 1000));
 
-        // Kill processes as aggressively as possible
-        console.log(`Sending SIGKILL to Tuner ${tuner.id} processes...`);
-        if (tuner.processes.zap) {
-            try { tuner.processes.zap.kill('SIGKILL'); } catch (e) { }
-        }
-        if (tuner.processes.ffmpeg) {
-            try { tuner.processes.ffmpeg.kill('SIGKILL'); } catch (e) { }
+// Recording Endpoints
+app.get('/api/recordings', async (req, res) => {
+    try {
+        const params = [];
+        let sql = 'SELECT * FROM recordings';
+        if (req.query.status) {
+            sql += ' WHERE status = ?';
+            params.push(req.query.status);
         }
+        sql += ' ORDER BY start_time';
 
-        // Safety timeout to force release state if exit handler doesn't fire
-        const forceReleaseTimeout = setTimeout(() => {
-            console.warn(`Force releasing Tuner ${tuner.id} state (cleanup timeout)`);
-            tuner.inUse = false;
-            tuner.cleaningUp = false;
-            tuner.processes = {};
-        }, 1000);
+        const recordings = await dbAll(sql, params);
+        const rules = await dbAll('SELECT * FROM recording_rules ORDER BY id');
+        const conflicts = await DVR.findConflicts();
+        const conflictIds = new Set(conflicts.map(r => r.id));
+        recordings.forEach(r => { r.conflict = conflictIds.has(r.id); });
 
-        // Allow one final clearing of timeout if zap exits cleanly before timeout
-        tuner.forceReleaseTimeout = forceReleaseTimeout;
+        res.json({ recordings, rules, conflicts: Array.from(conflictIds) });
+    } catch (e) {
+        console.error('[DVR] List error:', e);
+        res.status(500).json({ error: e.message });
+    }
+});
 
+// Body: { channel, programStart } | { channel, start, end, title? } | { series: title, channel? }
+// Optional paddingStart/paddingEnd (seconds) override the defaults.
+app.post('/api/recordings', async (req, res) => {
+    const body = req.body || {};
+    const padding = {
+        start: body.paddingStart !== undefined ? parseInt(body.paddingStart, 10) : undefined,
+        end: body.paddingEnd !== undefined ? parseInt(body.paddingEnd, 10) : undefined
     };
+    const channel = body.channel !== undefined ? String(body.channel) : undefined;
 
-    // Attach killSwitch for preemption
-    tuner.killSwitch = cleanup;
+    try {
+        if (body.series) {
+            const rule = await DVR.addRule(String(body.series), channel, padding);
+            const conflicts = await DVR.findConflicts();
+            return res.status(201).json({ rule, conflicts: conflicts.map(r => r.id) });
+        }
 
-    // release tuner only when zap exits (lock released)
-    zap.on('exit', (code, signal) => {
-        console.log(`Zap exited [Tuner ${tuner.id}] (code: ${code}, signal: ${signal})`);
+        if (!channel) return res.status(400).json({ error: 'channel is required' });
 
-        if (tuner.forceReleaseTimeout) {
-            clearTimeout(tuner.forceReleaseTimeout);
-            tuner.forceReleaseTimeout = null;
+        let recording;
+        if (body.programStart !== undefined) {
+            recording = await DVR.scheduleProgram(channel, DVR.parseTime(body.programStart), padding);
+        } else {
+            recording = await DVR.scheduleRange(channel, DVR.parseTime(body.start), DVR.parseTime(body.end), body.title, padding);
         }
 
-        // Always mark free on zap exit, as the hardware lock is definitely gone
-        tuner.inUse = false;
-        tuner.cleaningUp = false;
-        tuner.killSwitch = null;
-        tuner.processes = {};
-        console.log(`Tuner ${tuner.id} marked as FREE`);
-    });
-
-    ffmpeg.on('exit', (code) => {
-        debugLog(`FFmpeg exited [Tuner ${tuner.id}] with code ${code}`);
-        // If ffmpeg dies, we must kill zap to stop tuning
-        cleanup();
-    });
+        const conflicts = await DVR.findConflicts();
+        if (conflicts.some(r => r.id === recording.id)) {
+            console.warn(`[DVR] "${recording.title}" conflicts with other recordings (not enough tuners).`);
+        }
+        res.status(201).json({ recording, conflicts: conflicts.map(r => r.id) });
+    } catch (e) {
+        res.status(400).json({ error: e.message });
+    }
+});
 
-    // Client disconnect handling
-    const onDisconnect = () => {
-        console.log(`Client disconnected (socket close) [Tuner ${tuner.id}]`);
-        cleanup();
-    };
-    req.on('close', onDisconnect);
-    res.on('close', onDisconnect);
+app.delete('/api/recordings/rules/:id', async (req, res) => {
+    try {
+        const rule = await DVR.deleteRule(parseInt(req.params.id, 10));
+        if (!rule) return res.status(404).json({ error: 'Rule not found' });
+        res.json({ rule });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
 
-    // Handle zap errors
-    zap.on('error', (err) => {
-        console.error(`Tuner ${tuner.id} zap error:`, err);
-        cleanup();
-    });
+app.delete('/api/recordings/:id', async (req, res) => {
+    try {
+        const recording = await DVR.deleteRecording(parseInt(req.params.id, 10), req.query.deleteFile === 'true');
+        if (!recording) return res.status(404).json({ error: 'Recording not found' });
+        res.json({ recording });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
 });
 
-app.listen(PORT, () => {
+dbReady.then(() => app.listen(PORT, () => {
     console.log(`Tuner app listening at http://localhost:${PORT}`);
-});
+    if (ENABLE_DISCOVERY) {
+        console.log(`[HDHR] Emulating HDHomeRun ${HDHR.getDeviceId()} with ${TUNERS.length} tuners`);
+        HDHR.startDiscovery();
+    }
+}));
 
 // Global Cleanup on App Exit
 function cleanExit() {
@@ -1067,11 +5317,20 @@ function cleanExit() {
     TUNERS.forEach(tuner => {
         if (tuner.inUse && tuner.processes) {
             console.log(`Killing processes for Tuner ${tuner.id}`);
-            if (tuner.processes.zap) try { tuner.processes.zap.kill('SIGKILL'); } catch (e) { }
-            if (tuner.processes.ffmpeg) try { tuner.processes.ffmpeg.kill('SIGKILL'); } catch (e) { }
+            Object.values(tuner.processes).forEach(proc => {
+                try { proc.stop ? proc.stop() : proc.kill('SIGKILL'); } catch (e) { }
+            });
         }
     });
-    process.exit();
+    SESSIONS.forEach(session => {
+        if (session.ffmpeg) try { session.ffmpeg.kill('SIGKILL'); } catch (e) { }
+    });
+    HLS.sessions.forEach(hls => {
+        if (hls.ffmpeg) try { hls.ffmpeg.kill('SIGKILL'); } catch (e) { }
+    });
+    // Write buffered guide data and fold the WAL back into epg.db
+    setTimeout(() => process.exit(), 2000);
+    EPG_STORE.close().then(() => db.close(() => process.exit()));
 }
 
 process.on('SIGINT', cleanExit);